@@ -30,9 +30,37 @@ app.use(cookieParser())
 
 //routes import 
 import userRouter from './routes/user.routes.js'
+import videoRouter from './routes/video.routes.js'
+import commentRouter from './routes/comment.routes.js'
+import likeRouter from './routes/like.routes.js'
+import subscriptionRouter from './routes/subscription.routes.js'
+import playlistRouter from './routes/playlist.routes.js'
+import tweetRouter from './routes/tweet.routes.js'
+import dashboardRouter from './routes/dashboard.routes.js'
+import adminRouter from './routes/admin.routes.js'
+import searchRouter from './routes/search.routes.js'
+import feedRouter from './routes/feed.routes.js'
+import notificationRouter from './routes/notification.routes.js'
 
 
 //routes declaration
 app.use("/api/v1/users" ,userRouter)
+app.use("/api/v1/videos" ,videoRouter)
+app.use("/api/v1/comments" ,commentRouter)
+app.use("/api/v1/likes" ,likeRouter)
+app.use("/api/v1/subscriptions" ,subscriptionRouter)
+app.use("/api/v1/playlists" ,playlistRouter)
+app.use("/api/v1/tweets" ,tweetRouter)
+app.use("/api/v1/dashboard" ,dashboardRouter)
+app.use("/api/v1/admin" ,adminRouter)
+app.use("/api/v1/search" ,searchRouter)
+app.use("/api/v1/feed" ,feedRouter)
+app.use("/api/v1/notifications" ,notificationRouter)
+
+// after all routes -> unknown routes and errors thrown anywhere above
+import { notFound, errorHandler } from './middlewares/error.middleware.js'
+
+app.use(notFound)
+app.use(errorHandler)
 
 export { app }
\ No newline at end of file
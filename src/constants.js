@@ -1 +1,65 @@
-export const DB_NAME = "videotube"
\ No newline at end of file
+export const DB_NAME = "videotube"
+
+// public -> listed on the channel, unlisted -> anyone with the link, private -> only owner
+export const PLAYLIST_VISIBILITY = ["public", "unlisted", "private"]
+
+// a viewer is counted once per video in each window of this length, override with VIEW_DEDUP_WINDOW_MINUTES
+export const DEFAULT_VIEW_DEDUP_WINDOW_MINUTES = 30
+
+// oldest entries are dropped from watch history after this
+export const MAX_WATCH_HISTORY = 200
+
+// history entries watched less than this fraction of the duration show up in "continue watching"
+export const CONTINUE_WATCHING_THRESHOLD = 0.95
+export const CONTINUE_WATCHING_LIMIT = 10
+
+export const EMAIL_VERIFICATION_TOKEN_EXPIRY_MINUTES = 24 * 60
+export const PASSWORD_RESET_TOKEN_EXPIRY_MINUTES = 15
+
+// order matters -> higher index is more privileged
+export const USER_ROLES = ["user", "moderator", "admin"]
+// suspended -> blocked until suspendedUntil, banned -> blocked for good
+export const ACCOUNT_STATUS = ["active", "suspended", "banned"]
+
+// failed logins are counted per account and per ip inside this window
+export const FAILED_LOGIN_WINDOW_MINUTES = 60
+// after this many failures the account (or ip) is locked, every further failure doubles the lock
+export const MAX_FAILED_LOGINS_PER_ACCOUNT = 5
+export const MAX_FAILED_LOGINS_PER_IP = 20
+export const LOGIN_LOCKOUT_BASE_SECONDS = 60
+export const LOGIN_LOCKOUT_MAX_SECONDS = 60 * 60
+
+export const TWO_FACTOR_ISSUER = "VideoTube"
+export const TWO_FACTOR_RECOVERY_CODE_COUNT = 10
+// time the user has to enter the code after the password was accepted
+export const TWO_FACTOR_CHALLENGE_EXPIRY = "5m"
+
+// upload size caps in MB, checked per file field
+export const MAX_IMAGE_UPLOAD_SIZE_MB = 5
+export const MAX_VIDEO_UPLOAD_SIZE_MB = 500
+
+// resumable video uploads -> file is sent in chunks of this size (last one can be smaller)
+export const UPLOAD_CHUNK_SIZE_MB = 5
+// an upload without a new chunk for this long is abandoned, its chunks are removed
+export const UPLOAD_SESSION_EXPIRY_HOURS = 24
+
+// background jobs -> a failed job is retried after BASE * 2^(attempt - 1) seconds, capped
+// after MAX_ATTEMPTS it is dead (kept for inspection, admins can retry it)
+export const JOB_STATUS = ["queued", "running", "completed", "dead"]
+export const JOB_MAX_ATTEMPTS = 5
+export const JOB_BACKOFF_BASE_SECONDS = 10
+export const JOB_BACKOFF_MAX_SECONDS = 60 * 60
+// a running job not finished after this is taken as crashed and picked up again
+export const JOB_LOCK_TIMEOUT_MINUTES = 15
+
+// queued -> waiting for the worker, processing -> uploading files, ready -> playable, failed -> gave up
+export const VIDEO_PROCESSING_STATUS = ["queued", "processing", "ready", "failed"]
+
+// same steps for avatars, cover images and thumbnails handed to the image.process job
+// ready -> the new image is in place, failed -> the previous image (if any) is still used
+export const IMAGE_PROCESSING_STATUS = ["queued", "processing", "ready", "failed"]
+
+// subscriber -> someone subscribed to you, like -> on your video, comment or tweet
+// comment -> on your video, reply -> to your comment, upload -> new video from a channel you subscribed to
+// every type can be turned off in the notification preferences
+export const NOTIFICATION_TYPES = ["subscriber", "like", "comment", "reply", "upload"]
@@ -0,0 +1,523 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { Like } from "../models/like.models.js";
+import { Notification } from "../models/notification.models.js";
+import { Session } from "../models/session.models.js";
+import { AuditLog } from "../models/auditLog.models.js";
+import { Job } from "../models/job.models.js";
+import { getPagination } from "../utils/pagination.js";
+import { escapeRegex } from "../utils/regex.js";
+import { ACCOUNT_STATUS, JOB_STATUS, USER_ROLES } from "../constants.js";
+
+const MAX_SUSPENSION_DAYS = 365
+
+// moderators can act on users, admins on users and moderators
+// nobody can act on themselves or on someone with the same or a higher role
+const findModeratableUser = async (userId, actor) => {
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "invalid user id")
+    }
+
+    if (actor._id.equals(userId)) {
+        throw new ApiError(400, "you cannot moderate your own account")
+    }
+
+    const user = await User.findById(userId).select("-password")
+
+    if (!user) {
+        throw new ApiError(404, "user does not exist")
+    }
+
+    if (USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(actor.role)) {
+        throw new ApiError(403, "you cannot moderate a user with the same or a higher role")
+    }
+
+    return user
+}
+
+const getUsers = asyncHandler(async (req, res) => {
+    // query -> matches username, email or fullName
+    // role, status -> filters
+    const { query, role, status } = req.query
+    const { page, limit } = getPagination(req.query, 20)
+
+    // ?query=a&query=b arrives as an array
+    if (query !== undefined && typeof query !== "string") {
+        throw new ApiError(400, "query must be a single string")
+    }
+
+    if (role && !USER_ROLES.includes(role)) {
+        throw new ApiError(400, `role must be one of ${USER_ROLES.join(", ")}`)
+    }
+
+    if (status && !ACCOUNT_STATUS.includes(status)) {
+        throw new ApiError(400, `status must be one of ${ACCOUNT_STATUS.join(", ")}`)
+    }
+
+    const match = {}
+
+    if (role) match.role = role
+    if (status) match.status = status
+
+    if (query?.trim()) {
+        const regex = new RegExp(escapeRegex(query.trim()), "i")
+        match.$or = [
+            { username: regex },
+            { email: regex },
+            { fullName: regex }
+        ]
+    }
+
+    const aggregate = User.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $project: {
+                username: 1,
+                email: 1,
+                fullName: 1,
+                avatar: 1,
+                avatarVariants: 1,
+                role: 1,
+                status: 1,
+                suspendedUntil: 1,
+                isEmailVerified: 1,
+                createdAt: 1
+            }
+        }
+    ])
+
+    const users = await User.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, users, "Users fetched successfully")
+    )
+})
+
+const suspendUser = asyncHandler(async (req, res) => {
+    // body -> { days, reason }
+    const { userId } = req.params
+    const { reason = "" } = req.body || {}
+    const days = Number(req.body?.days)
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS) {
+        throw new ApiError(400, `days must be an integer between 1 and ${MAX_SUSPENSION_DAYS}`)
+    }
+
+    const user = await findModeratableUser(userId, req.user)
+    const previousStatus = user.status
+    const suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+
+    // logged before the action -> an action never happens without its log
+    await AuditLog.record(req, {
+        action: "user.suspend",
+        targetType: "User",
+        targetId: user._id,
+        reason,
+        metadata: { previousStatus, suspendedUntil }
+    })
+
+    user.status = "suspended"
+    user.suspendedUntil = suspendedUntil
+    await user.save({ validateBeforeSave: false })
+
+    // log them out everywhere
+    await Session.deleteMany({ user: user._id })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, user, "User suspended successfully")
+    )
+})
+
+const banUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { reason = "" } = req.body || {}
+
+    const user = await findModeratableUser(userId, req.user)
+    const previousStatus = user.status
+
+    await AuditLog.record(req, {
+        action: "user.ban",
+        targetType: "User",
+        targetId: user._id,
+        reason,
+        metadata: { previousStatus }
+    })
+
+    user.status = "banned"
+    user.suspendedUntil = undefined
+    await user.save({ validateBeforeSave: false })
+
+    await Session.deleteMany({ user: user._id })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, user, "User banned successfully")
+    )
+})
+
+const reinstateUser = asyncHandler(async (req, res) => {
+    // lifts a suspension or a ban
+    const { userId } = req.params
+    const { reason = "" } = req.body || {}
+
+    const user = await findModeratableUser(userId, req.user)
+    const previousStatus = user.status
+
+    if (previousStatus === "active") {
+        throw new ApiError(400, "user is already active")
+    }
+
+    await AuditLog.record(req, {
+        action: "user.reinstate",
+        targetType: "User",
+        targetId: user._id,
+        reason,
+        metadata: { previousStatus }
+    })
+
+    user.status = "active"
+    user.suspendedUntil = undefined
+    await user.save({ validateBeforeSave: false })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, user, "User reinstated successfully")
+    )
+})
+
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { role, reason = "" } = req.body || {}
+
+    // nobody can hand out a role higher than their own
+    if (!USER_ROLES.includes(role) || USER_ROLES.indexOf(role) >= USER_ROLES.indexOf(req.user.role)) {
+        throw new ApiError(400, "invalid role")
+    }
+
+    const user = await findModeratableUser(userId, req.user)
+    const previousRole = user.role
+
+    await AuditLog.record(req, {
+        action: "user.role",
+        targetType: "User",
+        targetId: user._id,
+        reason,
+        metadata: { previousRole, role }
+    })
+
+    user.role = role
+    await user.save({ validateBeforeSave: false })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, user, "User role updated successfully")
+    )
+})
+
+const unpublishVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { reason = "" } = req.body || {}
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    const video = await Video.findById(videoId).select("owner title isPublished")
+
+    if (!video) {
+        throw new ApiError(404, "video not found")
+    }
+
+    await AuditLog.record(req, {
+        action: "video.unpublish",
+        targetType: "Video",
+        targetId: video._id,
+        reason,
+        metadata: { owner: video.owner, title: video.title, wasPublished: video.isPublished }
+    })
+
+    await Video.updateOne(
+        { _id: video._id },
+        {
+            // also when it is still processing -> stays unpublished once it is ready
+            // locked -> the owner cant publish it again right away
+            $set: { isPublished: false, publishOnReady: false, moderationLocked: true }
+        }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, { isPublished: false, moderationLocked: true }, "Video unpublished successfully")
+    )
+})
+
+const unlockVideo = asyncHandler(async (req, res) => {
+    // the owner can publish it again, it stays unpublished until they do
+    const { videoId } = req.params
+    const { reason = "" } = req.body || {}
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    const video = await Video.findById(videoId).select("owner title moderationLocked")
+
+    if (!video) {
+        throw new ApiError(404, "video not found")
+    }
+
+    if (!video.moderationLocked) {
+        throw new ApiError(400, "video is not locked")
+    }
+
+    await AuditLog.record(req, {
+        action: "video.unlock",
+        targetType: "Video",
+        targetId: video._id,
+        reason,
+        metadata: { owner: video.owner, title: video.title }
+    })
+
+    await Video.updateOne({ _id: video._id }, { $set: { moderationLocked: false } })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, { moderationLocked: false }, "Video unlocked successfully")
+    )
+})
+
+const deleteComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const { reason = "" } = req.body || {}
+
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "invalid comment id")
+    }
+
+    const comment = await Comment.findById(commentId)
+
+    if (!comment) {
+        throw new ApiError(404, "comment not found")
+    }
+
+    // keep a copy, the comment itself will be gone
+    await AuditLog.record(req, {
+        action: "comment.delete",
+        targetType: "Comment",
+        targetId: comment._id,
+        reason,
+        metadata: { owner: comment.owner, video: comment.video, content: comment.content }
+    })
+
+    await Comment.deleteWithReplies(comment._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Comment deleted successfully")
+    )
+})
+
+const deleteTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+    const { reason = "" } = req.body || {}
+
+    if (!isValidObjectId(tweetId)) {
+        throw new ApiError(400, "invalid tweet id")
+    }
+
+    const tweet = await Tweet.findById(tweetId)
+
+    if (!tweet) {
+        throw new ApiError(404, "tweet not found")
+    }
+
+    await AuditLog.record(req, {
+        action: "tweet.delete",
+        targetType: "Tweet",
+        targetId: tweet._id,
+        reason,
+        metadata: { owner: tweet.owner, content: tweet.content }
+    })
+
+    await Tweet.deleteOne({ _id: tweet._id })
+    await Like.deleteMany({ tweet: tweet._id })
+    await Notification.deleteMany({ tweet: tweet._id })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Tweet deleted successfully")
+    )
+})
+
+const getAuditLogs = asyncHandler(async (req, res) => {
+    // actor, targetId, action -> filters, newest first
+    const { actor, targetId, action } = req.query
+    const { page, limit } = getPagination(req.query, 20)
+
+    const match = {}
+
+    for (const [name, value] of Object.entries({ actor, targetId })) {
+        if (!value) continue
+        if (!isValidObjectId(value)) {
+            throw new ApiError(400, `invalid ${name}`)
+        }
+        match[name] = new mongoose.Types.ObjectId(value)
+    }
+
+    if (action) match.action = action
+
+    const aggregate = AuditLog.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "actor",
+                foreignField: "_id",
+                as: "actor",
+                pipeline: [
+                    {
+                        $project: {
+                            username: 1,
+                            role: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                actor: {
+                    $first: "$actor"
+                }
+            }
+        }
+    ])
+
+    const logs = await AuditLog.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, logs, "Audit logs fetched successfully")
+    )
+})
+
+const getJobs = asyncHandler(async (req, res) => {
+    // status, type -> filters, status=dead is the dead letter queue
+    const { status, type } = req.query
+    const { page, limit } = getPagination(req.query, 20)
+
+    if (status && !JOB_STATUS.includes(status)) {
+        throw new ApiError(400, `status must be one of ${JOB_STATUS.join(", ")}`)
+    }
+
+    const match = {}
+
+    if (status) match.status = status
+    if (type) match.type = type
+
+    const aggregate = Job.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        }
+    ])
+
+    const jobs = await Job.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, jobs, "Jobs fetched successfully")
+    )
+})
+
+const retryJob = asyncHandler(async (req, res) => {
+    // dead job -> queued again with a fresh set of attempts
+    const { jobId } = req.params
+    const { reason = "" } = req.body || {}
+
+    if (!isValidObjectId(jobId)) {
+        throw new ApiError(400, "invalid job id")
+    }
+
+    const job = await Job.findOneAndUpdate(
+        { _id: jobId, status: "dead" },
+        {
+            $set: { status: "queued", attempts: 0, runAt: new Date() },
+            $unset: { finishedAt: 1 }
+        },
+        { new: true }
+    )
+
+    if (!job) {
+        throw new ApiError(404, "dead job not found")
+    }
+
+    await AuditLog.record(req, {
+        action: "job.retry",
+        targetType: "Job",
+        targetId: job._id,
+        reason,
+        metadata: { type: job.type, lastError: job.lastError }
+    })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, job, "Job queued again successfully")
+    )
+})
+
+export {
+    getUsers,
+    suspendUser,
+    banUser,
+    reinstateUser,
+    updateUserRole,
+    unpublishVideo,
+    unlockVideo,
+    deleteComment,
+    deleteTweet,
+    getAuditLogs,
+    getJobs,
+    retryJob
+}
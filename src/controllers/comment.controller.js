@@ -0,0 +1,244 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Comment } from "../models/comment.models.js";
+import { Video } from "../models/video.models.js";
+import { lookupOwner, lookupLikes } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+import { notify } from "../utils/notifications.js";
+
+// number of direct replies of every comment in the pipeline
+const replyCountStages = [
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "parentComment",
+            as: "replies",
+            pipeline: [
+                {
+                    $project: { _id: 1 }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            replyCount: {
+                $size: "$replies"
+            }
+        }
+    },
+    {
+        $project: {
+            replies: 0
+        }
+    }
+]
+
+// only the owner of a comment can modify it
+const findOwnedComment = async (commentId, userId) => {
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "invalid comment id")
+    }
+
+    const comment = await Comment.findById(commentId)
+
+    if (!comment) {
+        throw new ApiError(404, "comment not found")
+    }
+
+    if (!comment.owner?.equals(userId)) {
+        throw new ApiError(403, "you are not allowed to modify this comment")
+    }
+
+    return comment
+}
+
+// comments can only be read or written on videos the user can see
+const findVisibleVideo = async (videoId, userId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    const video = await Video.findById(videoId).select("isPublished owner")
+
+    if (!video || (!video.isPublished && !video.owner?.equals(userId))) {
+        throw new ApiError(404, "video not found")
+    }
+
+    return video
+}
+
+const getVideoComments = asyncHandler(async (req, res) => {
+    // top level comments of a video, newest first
+    // replies are loaded separately through getCommentReplies
+    const { videoId } = req.params
+    const { page, limit } = getPagination(req.query)
+
+    await findVisibleVideo(videoId, req.user?._id)
+
+    const aggregate = Comment.aggregate([
+        {
+            $match: {
+                video: new mongoose.Types.ObjectId(videoId),
+                parentComment: null
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupOwner(),
+        ...lookupLikes("comment", req.user?._id),
+        ...replyCountStages
+    ])
+
+    const comments = await Comment.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, comments, "Comments fetched successfully")
+    )
+})
+
+const getCommentReplies = asyncHandler(async (req, res) => {
+    // replies are shown oldest first so the conversation reads in order
+    const { commentId } = req.params
+    const { page, limit } = getPagination(req.query)
+
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "invalid comment id")
+    }
+
+    const parentComment = await Comment.findById(commentId).select("video")
+
+    if (!parentComment) {
+        throw new ApiError(404, "comment not found")
+    }
+
+    await findVisibleVideo(parentComment.video, req.user?._id)
+
+    const aggregate = Comment.aggregate([
+        {
+            $match: {
+                parentComment: parentComment._id
+            }
+        },
+        {
+            $sort: {
+                createdAt: 1,
+                _id: 1
+            }
+        },
+        ...lookupOwner(),
+        ...lookupLikes("comment", req.user?._id),
+        ...replyCountStages
+    ])
+
+    const replies = await Comment.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, replies, "Replies fetched successfully")
+    )
+})
+
+const addComment = asyncHandler(async (req, res) => {
+    // content from body
+    // parentCommentId in body makes it a reply
+    const { videoId } = req.params
+    const { content, parentCommentId } = req.body || {}
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "content is required")
+    }
+
+    const video = await findVisibleVideo(videoId, req.user?._id)
+
+    let parentComment = null
+
+    if (parentCommentId) {
+        if (!isValidObjectId(parentCommentId)) {
+            throw new ApiError(400, "invalid parent comment id")
+        }
+
+        parentComment = await Comment.findById(parentCommentId)
+
+        if (!parentComment || !parentComment.video?.equals(video._id)) {
+            throw new ApiError(404, "parent comment not found")
+        }
+    }
+
+    const comment = await Comment.create({
+        content: content.trim(),
+        video: video._id,
+        owner: req.user?._id,
+        // threads are one level deep, a reply to a reply joins the same thread
+        parentComment: parentComment
+            ? parentComment.parentComment || parentComment._id
+            : null
+    })
+
+    // reply -> author of the comment replied to, otherwise the owner of the video
+    await notify({
+        recipient: parentComment ? parentComment.owner : video.owner,
+        actor: req.user?._id,
+        type: parentComment ? "reply" : "comment",
+        video: video._id,
+        comment: comment._id
+    })
+
+    return res
+    .status(201)
+    .json(
+        new ApiResponse(201, comment, "Comment added successfully")
+    )
+})
+
+const updateComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const { content } = req.body || {}
+
+    if (!content?.trim()) {
+        throw new ApiError(400, "content is required")
+    }
+
+    const comment = await findOwnedComment(commentId, req.user?._id)
+
+    comment.content = content.trim()
+    await comment.save()
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, comment, "Comment updated successfully")
+    )
+})
+
+const deleteComment = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+
+    const comment = await findOwnedComment(commentId, req.user?._id)
+
+    await Comment.deleteWithReplies(comment._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Comment deleted successfully")
+    )
+})
+
+export {
+    getVideoComments,
+    getCommentReplies,
+    addComment,
+    updateComment,
+    deleteComment
+}
@@ -0,0 +1,272 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { getPagination } from "../utils/pagination.js";
+
+const DEFAULT_STATS_DAYS = 30
+const MAX_STATS_DAYS = 365
+// most viewed videos in the stats, every video is paginated by getChannelVideos
+const TOP_VIDEOS = 10
+const CHANNEL_VIDEOS_SORT_FIELDS = ["createdAt", "views"]
+
+// likesCount and commentsCount of every video in the pipeline
+const videoEngagementStages = [
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "video",
+            as: "likes",
+            pipeline: [
+                {
+                    $project: { _id: 1 }
+                }
+            ]
+        }
+    },
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: "video",
+            as: "comments",
+            pipeline: [
+                {
+                    $project: { _id: 1 }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            likesCount: {
+                $size: "$likes"
+            },
+            commentsCount: {
+                $size: "$comments"
+            }
+        }
+    },
+    {
+        $project: {
+            likes: 0,
+            comments: 0
+        }
+    }
+]
+
+// group documents created after `since` by day -> { "2025-01-31": count }
+const countPerDay = async (model, match, since) => {
+    const counts = await model.aggregate([
+        {
+            $match: {
+                ...match,
+                createdAt: { $gte: since }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    $dateToString: { format: "%Y-%m-%d", date: "$createdAt" }
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ])
+
+    return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+}
+
+// views of every video of a channel by day, from the View documents written by recordView
+// goes through the videos -> uses the (video, createdAt) index of views, no list of video ids
+const countViewsPerDay = async (channelId, since) => {
+    const counts = await Video.aggregate([
+        {
+            $match: {
+                owner: channelId
+            }
+        },
+        {
+            $lookup: {
+                from: "views",
+                localField: "_id",
+                foreignField: "video",
+                as: "views",
+                pipeline: [
+                    {
+                        $match: {
+                            createdAt: { $gte: since }
+                        }
+                    },
+                    {
+                        $project: { createdAt: 1 }
+                    }
+                ]
+            }
+        },
+        {
+            $unwind: "$views"
+        },
+        {
+            $group: {
+                _id: {
+                    $dateToString: { format: "%Y-%m-%d", date: "$views.createdAt" }
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ])
+
+    return Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+}
+
+const getChannelStats = asyncHandler(async (req, res) => {
+    // totals -> videos, views, subscribers, likes, comments
+    // most viewed videos (TOP_VIDEOS), the rest -> GET /dashboard/videos?sortBy=views
+    // time series of new subscribers and views per day for the last `days` days
+    const days = req.query.days === undefined ? DEFAULT_STATS_DAYS : Number(req.query.days)
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_STATS_DAYS) {
+        throw new ApiError(400, `days must be an integer between 1 and ${MAX_STATS_DAYS}`)
+    }
+
+    const channelId = new mongoose.Types.ObjectId(req.user?._id)
+
+    const [stats] = await Video.aggregate([
+        {
+            $match: {
+                owner: channelId
+            }
+        },
+        ...videoEngagementStages,
+        {
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            totalVideos: { $sum: 1 },
+                            totalViews: { $sum: "$views" },
+                            totalLikes: { $sum: "$likesCount" },
+                            totalComments: { $sum: "$commentsCount" }
+                        }
+                    }
+                ],
+                videos: [
+                    {
+                        $sort: {
+                            views: -1,
+                            _id: 1
+                        }
+                    },
+                    {
+                        $limit: TOP_VIDEOS
+                    },
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1,
+                            thumbnailVariants: 1,
+                            views: 1,
+                            isPublished: 1,
+                            createdAt: 1,
+                            likesCount: 1,
+                            commentsCount: 1
+                        }
+                    }
+                ]
+            }
+        }
+    ])
+
+    const totals = stats.totals[0] || {
+        totalVideos: 0,
+        totalViews: 0,
+        totalLikes: 0,
+        totalComments: 0
+    }
+
+    const totalSubscribers = await Subscription.countDocuments({ channel: channelId })
+
+    // start of the first day of the window (UTC, same as $dateToString)
+    const since = new Date()
+    since.setUTCHours(0, 0, 0, 0)
+    since.setUTCDate(since.getUTCDate() - (days - 1))
+
+    const subscribersPerDay = await countPerDay(Subscription, { channel: channelId }, since)
+    // views counted before View documents existed are only in video.views -> in totalViews, not per day
+    const viewsPerDay = await countViewsPerDay(channelId, since)
+
+    // fill days without any activity with 0 so the series has no gaps
+    const timeSeries = []
+    for (let i = 0; i < days; i++) {
+        const date = new Date(since)
+        date.setUTCDate(since.getUTCDate() + i)
+        const day = date.toISOString().slice(0, 10)
+
+        timeSeries.push({
+            date: day,
+            newSubscribers: subscribersPerDay[day] || 0,
+            views: viewsPerDay[day] || 0
+        })
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            {
+                totalVideos: totals.totalVideos,
+                totalViews: totals.totalViews,
+                totalSubscribers,
+                totalLikes: totals.totalLikes,
+                totalComments: totals.totalComments,
+                videos: stats.videos,
+                timeSeries
+            },
+            "Channel stats fetched successfully"
+        )
+    )
+})
+
+const getChannelVideos = asyncHandler(async (req, res) => {
+    // every video of the logged in user, unpublished ones too
+    // sortBy -> createdAt (newest first, default) or views (most viewed first, same order as the stats)
+    const { sortBy = "createdAt" } = req.query
+    const { page, limit } = getPagination(req.query)
+
+    if (!CHANNEL_VIDEOS_SORT_FIELDS.includes(sortBy)) {
+        throw new ApiError(400, `sortBy must be one of ${CHANNEL_VIDEOS_SORT_FIELDS.join(", ")}`)
+    }
+
+    const aggregate = Video.aggregate([
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(req.user?._id)
+            }
+        },
+        {
+            $sort: sortBy === "views"
+                ? { views: -1, _id: 1 }
+                : { createdAt: -1, _id: -1 }
+        },
+        ...videoEngagementStages
+    ])
+
+    const videos = await Video.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, videos, "Channel videos fetched successfully")
+    )
+})
+
+export {
+    getChannelStats,
+    getChannelVideos
+}
@@ -0,0 +1,279 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.models.js";
+import { View } from "../models/view.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { WatchHistory } from "../models/watchHistory.models.js";
+import { lookupOwner } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+import { afterCursor, buildCursorPage, decodeCursor } from "../utils/cursor.js";
+
+// home feed ranking
+// score = (recent views + LIKE_WEIGHT * recent likes + SUBSCRIPTION_BOOST if subscribed) / (age in hours + 2) ^ GRAVITY
+// -> newer videos win over older ones with the same activity
+// only views and likes up to cursor.asOf count, so new activity does not move scores between pages
+// an unlike deletes the like though -> a video already shown can drop below the cursor and show up once more
+// rare and harmless for a feed, snapshotting every score per reader would cost more than it saves
+const TRENDING_WINDOW_DAYS = 7
+// most active videos of the window that are considered at all
+const TRENDING_CANDIDATES = 500
+const LIKE_WEIGHT = 2
+const SUBSCRIPTION_BOOST = 10
+const GRAVITY = 1.5
+
+const HOUR = 60 * 60 * 1000
+
+const videoCardProjection = {
+    $project: {
+        type: 1,
+        title: 1,
+        thumbnail: 1,
+        thumbnailVariants: 1,
+        duration: 1,
+        views: 1,
+        createdAt: 1,
+        owner: 1,
+        feedKey: 1
+    }
+}
+
+// cursor, limit -> page of the feed, same format for both feeds
+// items are videos and tweets, told apart by type
+const getFeedParams = (req) => {
+    const { limit } = getPagination(req.query, 20)
+    const cursor = decodeCursor(req.query.cursor)
+
+    return { limit, cursor, userId: new mongoose.Types.ObjectId(req.user?._id) }
+}
+
+// number of views or likes of the video inside the window
+const lookupRecentCount = (from, as, since, asOf) => ({
+    $lookup: {
+        from,
+        localField: "_id",
+        foreignField: "video",
+        as,
+        pipeline: [
+            {
+                $match: {
+                    createdAt: { $gte: since, $lte: asOf }
+                }
+            },
+            {
+                $count: "count"
+            }
+        ]
+    }
+})
+
+// ids of the most viewed and liked videos inside the window
+// grouped and capped in mongo, a busy site would otherwise load every video viewed that week
+const getTrendingVideoIds = async (since, asOf) => {
+    const inWindow = { createdAt: { $gte: since, $lte: asOf } }
+
+    const trending = await View.aggregate([
+        {
+            $match: inWindow
+        },
+        {
+            $project: { _id: 0, video: 1, activity: { $literal: 1 } }
+        },
+        {
+            $unionWith: {
+                coll: "likes",
+                pipeline: [
+                    {
+                        $match: { ...inWindow, video: { $exists: true } }
+                    },
+                    {
+                        $project: { _id: 0, video: 1, activity: { $literal: LIKE_WEIGHT } }
+                    }
+                ]
+            }
+        },
+        {
+            $group: { _id: "$video", activity: { $sum: "$activity" } }
+        },
+        {
+            $sort: { activity: -1, _id: 1 }
+        },
+        {
+            $limit: TRENDING_CANDIDATES
+        }
+    ])
+    .allowDiskUse(true)
+
+    return trending.map((video) => video._id)
+}
+
+const getSubscriptionsFeed = asyncHandler(async (req, res) => {
+    // newest published videos and tweets of every channel the user subscribed to
+    const { limit, cursor, userId } = getFeedParams(req)
+
+    const channels = await Subscription.find({ subscriber: userId }).distinct("channel")
+
+    // feedKey -> createdAt in ms, the cursor compares numbers
+    const itemsOf = (type) => [
+        {
+            $addFields: {
+                type,
+                feedKey: { $toLong: "$createdAt" }
+            }
+        }
+    ]
+
+    const items = await Video.aggregate([
+        {
+            $match: {
+                owner: { $in: channels },
+                isPublished: true,
+                createdAt: { $lte: cursor.asOf }
+            }
+        },
+        ...itemsOf("video"),
+        videoCardProjection,
+        {
+            $unionWith: {
+                coll: "tweets",
+                pipeline: [
+                    {
+                        $match: {
+                            owner: { $in: channels },
+                            createdAt: { $lte: cursor.asOf }
+                        }
+                    },
+                    ...itemsOf("tweet"),
+                    {
+                        $project: {
+                            type: 1,
+                            content: 1,
+                            createdAt: 1,
+                            owner: 1,
+                            feedKey: 1
+                        }
+                    }
+                ]
+            }
+        },
+        afterCursor(cursor, "feedKey"),
+        {
+            $sort: {
+                feedKey: -1,
+                _id: -1
+            }
+        },
+        {
+            $limit: limit + 1
+        },
+        ...lookupOwner()
+    ])
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            buildCursorPage(items, limit, cursor.asOf, (item) => item.feedKey),
+            "Subscriptions feed fetched successfully"
+        )
+    )
+})
+
+const getHomeFeed = asyncHandler(async (req, res) => {
+    // videos from subscriptions mixed with trending ones, minus what the user already watched
+    // every page is scored as of the first page (cursor.asOf) so the order does not change while scrolling
+    const { limit, cursor, userId } = getFeedParams(req)
+    const asOf = cursor.asOf
+    const since = new Date(asOf.getTime() - TRENDING_WINDOW_DAYS * 24 * HOUR)
+
+    const channels = await Subscription.find({ subscriber: userId }).distinct("channel")
+
+    // legacy ids on the user document have not been imported into watchhistories yet
+    const watched = [
+        ...(await WatchHistory.find({ user: userId }).distinct("video")),
+        ...(req.user?.watchHistory || [])
+    ]
+
+    const trendingIds = await getTrendingVideoIds(since, asOf)
+
+    const items = await Video.aggregate([
+        {
+            $match: {
+                isPublished: true,
+                createdAt: { $lte: asOf },
+                owner: { $ne: userId },
+                _id: { $nin: watched },
+                $or: [
+                    { _id: { $in: trendingIds } },
+                    { owner: { $in: channels } }
+                ]
+            }
+        },
+        lookupRecentCount("views", "recentViews", since, asOf),
+        lookupRecentCount("likes", "recentLikes", since, asOf),
+        {
+            $addFields: {
+                type: "video",
+                recentViews: {
+                    $ifNull: [{ $first: "$recentViews.count" }, 0]
+                },
+                recentLikes: {
+                    $ifNull: [{ $first: "$recentLikes.count" }, 0]
+                },
+                isSubscribed: { $in: ["$owner", channels] },
+                ageHours: {
+                    $divide: [{ $subtract: [asOf, "$createdAt"] }, HOUR]
+                }
+            }
+        },
+        {
+            $addFields: {
+                feedKey: {
+                    $divide: [
+                        {
+                            $add: [
+                                "$recentViews",
+                                { $multiply: ["$recentLikes", LIKE_WEIGHT] },
+                                { $cond: ["$isSubscribed", SUBSCRIPTION_BOOST, 0] }
+                            ]
+                        },
+                        { $pow: [{ $add: ["$ageHours", 2] }, GRAVITY] }
+                    ]
+                }
+            }
+        },
+        afterCursor(cursor, "feedKey"),
+        {
+            $sort: {
+                feedKey: -1,
+                _id: -1
+            }
+        },
+        {
+            $limit: limit + 1
+        },
+        ...lookupOwner(),
+        {
+            $project: {
+                ...videoCardProjection.$project,
+                isSubscribed: 1
+            }
+        }
+    ])
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            buildCursorPage(items, limit, asOf, (item) => item.feedKey),
+            "Home feed fetched successfully"
+        )
+    )
+})
+
+export {
+    getSubscriptionsFeed,
+    getHomeFeed
+}
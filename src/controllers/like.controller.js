@@ -0,0 +1,191 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Like } from "../models/like.models.js";
+import { Video } from "../models/video.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { lookupOwner } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+import { notify } from "../utils/notifications.js";
+
+// same toggle for every kind of like
+// field -> video, comment or tweet
+// notification -> { recipient, ...refs } for the owner of the target, sent on a new like
+const toggleLike = async (field, targetId, userId, notification) => {
+    const filter = { [field]: targetId, likedBy: userId }
+
+    const existingLike = await Like.findOneAndDelete(filter)
+
+    if (!existingLike) {
+        try {
+            await Like.create(filter)
+            await notify({ ...notification, actor: userId, type: "like" })
+        } catch (error) {
+            // 11000 -> a parallel request already created this like
+            // unique index keeps a single like, so the end state is the same
+            if (error?.code !== 11000) throw error
+        }
+    }
+
+    const likesCount = await Like.countDocuments({ [field]: targetId })
+
+    return {
+        isLiked: !existingLike,
+        likesCount
+    }
+}
+
+// unpublished videos (and their comments) are only visible to their owner -> null for everybody else
+const findVisibleVideo = async (videoId, userId) => {
+    const video = await Video.findById(videoId).select("isPublished owner")
+
+    if (!video || (!video.isPublished && !video.owner?.equals(userId))) {
+        return null
+    }
+
+    return video
+}
+
+const toggleVideoLike = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    const video = await findVisibleVideo(videoId, req.user?._id)
+
+    if (!video) {
+        throw new ApiError(404, "video not found")
+    }
+
+    const like = await toggleLike("video", video._id, req.user?._id, {
+        recipient: video.owner,
+        video: video._id
+    })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, like, "Video like toggled successfully")
+    )
+})
+
+const toggleCommentLike = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+
+    if (!isValidObjectId(commentId)) {
+        throw new ApiError(400, "invalid comment id")
+    }
+
+    const comment = await Comment.findById(commentId).select("owner video")
+
+    // same answer as a missing comment -> hidden videos are not revealed
+    if (!comment || !(await findVisibleVideo(comment.video, req.user?._id))) {
+        throw new ApiError(404, "comment not found")
+    }
+
+    const like = await toggleLike("comment", comment._id, req.user?._id, {
+        recipient: comment.owner,
+        comment: comment._id,
+        video: comment.video
+    })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, like, "Comment like toggled successfully")
+    )
+})
+
+const toggleTweetLike = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+
+    if (!isValidObjectId(tweetId)) {
+        throw new ApiError(400, "invalid tweet id")
+    }
+
+    const tweet = await Tweet.findById(tweetId).select("owner")
+
+    if (!tweet) {
+        throw new ApiError(404, "tweet not found")
+    }
+
+    const like = await toggleLike("tweet", tweet._id, req.user?._id, {
+        recipient: tweet.owner,
+        tweet: tweet._id
+    })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, like, "Tweet like toggled successfully")
+    )
+})
+
+const getLikedVideos = asyncHandler(async (req, res) => {
+    // likes of the user -> videos -> owner of video
+    // most recently liked first
+    const { page, limit } = getPagination(req.query)
+
+    const aggregate = Like.aggregate([
+        {
+            $match: {
+                likedBy: new mongoose.Types.ObjectId(req.user?._id),
+                video: { $exists: true }
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    ...lookupOwner()
+                ]
+            }
+        },
+        {
+            $unwind: "$video" // also drops likes of deleted videos
+        },
+        {
+            $match: {
+                $or: [
+                    { "video.isPublished": true },
+                    { "video.owner._id": new mongoose.Types.ObjectId(req.user?._id) }
+                ]
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                likedAt: "$createdAt",
+                video: 1
+            }
+        }
+    ])
+
+    const likedVideos = await Like.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, likedVideos, "Liked videos fetched successfully")
+    )
+})
+
+export {
+    toggleVideoLike,
+    toggleCommentLike,
+    toggleTweetLike,
+    getLikedVideos
+}
@@ -0,0 +1,262 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Notification } from "../models/notification.models.js";
+import { User } from "../models/user.models.js";
+import { Session } from "../models/session.models.js";
+import { lookupOwner } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+import { onNotification } from "../utils/notifications.js";
+import { NOTIFICATION_TYPES } from "../constants.js";
+
+// proxies buffer idle connections, a comment line every so often keeps the stream open
+const STREAM_HEARTBEAT_MS = 25 * 1000
+// notifications replayed to a stream that reconnects with Last-Event-ID
+const MAX_REPLAYED_NOTIFICATIONS = 50
+
+const getUnreadCount = (userId) => Notification.countDocuments({ recipient: userId, isRead: false })
+
+const getNotifications = asyncHandler(async (req, res) => {
+    // newest first, unread=true -> only unread ones
+    const { unread } = req.query
+    const { page, limit } = getPagination(req.query, 20)
+
+    const match = {
+        recipient: new mongoose.Types.ObjectId(req.user?._id)
+    }
+
+    if (unread === "true") {
+        match.isRead = false
+    }
+
+    const aggregate = Notification.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupOwner("actor"),
+        {
+            // what the notification is about, enough for a notification card
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                video: {
+                    $first: "$video"
+                }
+            }
+        }
+    ])
+
+    const notifications = await Notification.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, notifications, "Notifications fetched successfully")
+    )
+})
+
+const getUnreadNotificationCount = asyncHandler(async (req, res) => {
+    const unreadCount = await getUnreadCount(req.user?._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, { unreadCount }, "Unread count fetched successfully")
+    )
+})
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params
+
+    if (!isValidObjectId(notificationId)) {
+        throw new ApiError(400, "invalid notification id")
+    }
+
+    // someone else's notification is as good as missing
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, recipient: req.user?._id },
+        { $set: { isRead: true, readAt: new Date() } },
+        { new: true }
+    )
+
+    if (!notification) {
+        throw new ApiError(404, "notification not found")
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, notification, "Notification marked as read")
+    )
+})
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const { modifiedCount } = await Notification.updateMany(
+        { recipient: req.user?._id, isRead: false },
+        { $set: { isRead: true, readAt: new Date() } }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, { markedCount: modifiedCount }, "All notifications marked as read")
+    )
+})
+
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user?._id).select("notificationPreferences")
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, user.notificationPreferences, "Notification preferences fetched successfully")
+    )
+})
+
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+    // body -> { <type>: true | false }, types that are left out keep their value
+    const updates = {}
+
+    for (const [type, enabled] of Object.entries(req.body || {})) {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+            throw new ApiError(400, `notification type must be one of ${NOTIFICATION_TYPES.join(", ")}`)
+        }
+
+        if (typeof enabled !== "boolean") {
+            throw new ApiError(400, `${type} must be true or false`)
+        }
+
+        updates[`notificationPreferences.${type}`] = enabled
+    }
+
+    if (!Object.keys(updates).length) {
+        throw new ApiError(400, "at least one notification type is required")
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user?._id,
+        { $set: updates },
+        { new: true }
+    ).select("notificationPreferences")
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, user.notificationPreferences, "Notification preferences updated successfully")
+    )
+})
+
+const streamNotifications = asyncHandler(async (req, res) => {
+    // server sent events
+    //      notification  -> a new notification, id is the notification id
+    //      unread-count  -> sent when the stream opens
+    // the browser reconnects on its own and sends Last-Event-ID -> what was missed in between is sent first
+    const userId = req.user._id
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no" // nginx would buffer the stream otherwise
+    })
+    res.flushHeaders()
+
+    const send = (event, data, id) => {
+        if (res.writableEnded) return
+        if (id) res.write(`id: ${id}\n`)
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+
+    // ids sent while missed ones are replayed, a notification created in between is in both
+    let sentIds = new Set()
+
+    const sendNotification = (notification) => {
+        const id = String(notification._id)
+        if (sentIds?.has(id)) return
+
+        sentIds?.add(id)
+        send("notification", notification, id)
+    }
+
+    // subscribe before reading missed ones so nothing is lost in between
+    const unsubscribe = onNotification(userId, sendNotification)
+
+    const close = () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+        if (!res.writableEnded) res.end()
+    }
+
+    // auth was only checked when the stream opened
+    // expired token, logout, revoked session, suspension or ban end it at the next heartbeat
+    // the browser reconnects on its own, with a refreshed token or not at all
+    const isStillAllowed = async () => {
+        if (req.accessTokenExpiresAt && Date.now() >= req.accessTokenExpiresAt) return false
+        if (!(await Session.exists({ _id: req.sessionId }))) return false
+
+        const user = await User.findById(userId).select("status suspendedUntil")
+        return Boolean(user && !user.getAccessRestriction())
+    }
+
+    const heartbeat = setInterval(async () => {
+        try {
+            if (!(await isStillAllowed())) return close()
+            if (!res.writableEnded) res.write(": ping\n\n")
+        } catch (error) {
+            close()
+        }
+    }, STREAM_HEARTBEAT_MS)
+
+    req.on("close", close)
+
+    res.write("retry: 5000\n\n")
+
+    const lastEventId = req.header("Last-Event-ID")
+    if (isValidObjectId(lastEventId)) {
+        const missed = await Notification.find({
+            recipient: userId,
+            _id: { $gt: lastEventId }
+        })
+        .sort({ _id: 1 })
+        .limit(MAX_REPLAYED_NOTIFICATIONS)
+        .lean()
+
+        missed.forEach(sendNotification)
+    }
+
+    // everything newer comes from the listener only
+    sentIds = null
+
+    send("unread-count", { unreadCount: await getUnreadCount(userId) })
+})
+
+export {
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    streamNotifications
+}
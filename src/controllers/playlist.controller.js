@@ -0,0 +1,379 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Playlist } from "../models/playlist.models.js";
+import { Video } from "../models/video.models.js";
+import { lookupOwner } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+import { PLAYLIST_VISIBILITY } from "../constants.js";
+
+// playlist.videos -> video cards with owner, in playlist order
+// $lookup does not keep the order of localField so map over the ids again
+const lookupPlaylistVideos = (userId) => [
+    {
+        $lookup: {
+            from: "videos",
+            localField: "videos",
+            foreignField: "_id",
+            as: "videoDocs",
+            pipeline: [
+                {
+                    // unpublished videos only show up for their owner
+                    $match: {
+                        $or: [
+                            { isPublished: true },
+                            { owner: userId ?? null }
+                        ]
+                    }
+                },
+                ...lookupOwner(),
+                {
+                    $project: {
+                        title: 1,
+                        thumbnail: 1,
+                        thumbnailVariants: 1,
+                        duration: 1,
+                        views: 1,
+                        isPublished: 1,
+                        createdAt: 1,
+                        owner: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            videos: {
+                $filter: {
+                    input: {
+                        $map: {
+                            input: "$videos",
+                            as: "videoId",
+                            in: {
+                                $first: {
+                                    $filter: {
+                                        input: "$videoDocs",
+                                        cond: { $eq: ["$$this._id", "$$videoId"] }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    // deleted or hidden videos
+                    cond: { $ne: ["$$this", null] }
+                }
+            }
+        }
+    },
+    {
+        $addFields: {
+            totalVideos: {
+                $size: "$videos"
+            },
+            totalDuration: {
+                $sum: "$videos.duration"
+            }
+        }
+    },
+    {
+        $project: {
+            videoDocs: 0
+        }
+    }
+]
+
+const validateVisibility = (visibility) => {
+    if (visibility !== undefined && !PLAYLIST_VISIBILITY.includes(visibility)) {
+        throw new ApiError(400, `visibility must be one of ${PLAYLIST_VISIBILITY.join(", ")}`)
+    }
+}
+
+// only the owner of a playlist can modify it
+const findOwnedPlaylist = async (playlistId, userId) => {
+    if (!isValidObjectId(playlistId)) {
+        throw new ApiError(400, "invalid playlist id")
+    }
+
+    const playlist = await Playlist.findById(playlistId)
+
+    if (!playlist) {
+        throw new ApiError(404, "playlist not found")
+    }
+
+    if (!playlist.owner?.equals(userId)) {
+        throw new ApiError(403, "you are not allowed to modify this playlist")
+    }
+
+    return playlist
+}
+
+const createPlaylist = asyncHandler(async (req, res) => {
+    const { name, description, visibility } = req.body || {}
+
+    if ([name, description].some((field) => !field?.trim())) {
+        throw new ApiError(400, "name and description are required")
+    }
+
+    validateVisibility(visibility)
+
+    const playlist = await Playlist.create({
+        name: name.trim(),
+        description: description.trim(),
+        visibility,
+        owner: req.user?._id
+    })
+
+    return res
+    .status(201)
+    .json(
+        new ApiResponse(201, playlist, "Playlist created successfully")
+    )
+})
+
+const getUserPlaylists = asyncHandler(async (req, res) => {
+    // owner sees all of their playlists
+    // everyone else only sees public ones, unlisted need the link
+    const { userId } = req.params
+    const { page, limit } = getPagination(req.query)
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "invalid user id")
+    }
+
+    const isOwner = req.user?._id?.equals(userId)
+
+    const match = {
+        owner: new mongoose.Types.ObjectId(userId)
+    }
+
+    if (!isOwner) {
+        match.visibility = "public"
+    }
+
+    const aggregate = Playlist.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                updatedAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupPlaylistVideos(req.user?._id),
+        {
+            $addFields: {
+                // first video is the cover of the playlist card
+                thumbnail: {
+                    $first: "$videos.thumbnail"
+                },
+                thumbnailVariants: {
+                    $first: "$videos.thumbnailVariants"
+                }
+            }
+        },
+        {
+            $project: {
+                videos: 0
+            }
+        }
+    ])
+
+    const playlists = await Playlist.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, playlists, "Playlists fetched successfully")
+    )
+})
+
+const getPlaylistById = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+
+    if (!isValidObjectId(playlistId)) {
+        throw new ApiError(400, "invalid playlist id")
+    }
+
+    const playlist = await Playlist.aggregate([
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(playlistId)
+            }
+        },
+        ...lookupPlaylistVideos(req.user?._id),
+        ...lookupOwner()
+    ])
+
+    // private playlists are only visible to their owner
+    if (
+        !playlist?.length ||
+        (playlist[0].visibility === "private" && !playlist[0].owner?._id?.equals(req.user?._id))
+    ) {
+        throw new ApiError(404, "playlist not found")
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, playlist[0], "Playlist fetched successfully")
+    )
+})
+
+const updatePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+    const { name, description, visibility } = req.body || {}
+
+    if (!(name?.trim() || description?.trim() || visibility)) {
+        throw new ApiError(400, "name, description or visibility is required")
+    }
+
+    validateVisibility(visibility)
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+
+    if (name?.trim()) {
+        playlist.name = name.trim()
+    }
+
+    if (description?.trim()) {
+        playlist.description = description.trim()
+    }
+
+    if (visibility) {
+        playlist.visibility = visibility
+    }
+
+    await playlist.save()
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, playlist, "Playlist updated successfully")
+    )
+})
+
+const deletePlaylist = asyncHandler(async (req, res) => {
+    const { playlistId } = req.params
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+
+    await Playlist.findByIdAndDelete(playlist._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Playlist deleted successfully")
+    )
+})
+
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+
+    const video = await Video.findById(videoId).select("isPublished owner")
+
+    if (!video || (!video.isPublished && !video.owner?.equals(req.user?._id))) {
+        throw new ApiError(404, "video not found")
+    }
+
+    // $addToSet -> adding the same video twice is a no-op
+    const updatedPlaylist = await Playlist.findByIdAndUpdate(
+        playlist._id,
+        {
+            $addToSet: {
+                videos: video._id
+            }
+        },
+        { new: true }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, updatedPlaylist, "Video added to playlist successfully")
+    )
+})
+
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+    const { playlistId, videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+
+    const updatedPlaylist = await Playlist.findByIdAndUpdate(
+        playlist._id,
+        {
+            $pull: {
+                videos: new mongoose.Types.ObjectId(videoId)
+            }
+        },
+        { new: true }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, updatedPlaylist, "Video removed from playlist successfully")
+    )
+})
+
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+    // move videoId to position index (0 based) in the playlist
+    const { playlistId, videoId } = req.params
+    const index = Number(req.body?.index)
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    if (!Number.isInteger(index) || index < 0) {
+        throw new ApiError(400, "index must be a non negative integer")
+    }
+
+    const playlist = await findOwnedPlaylist(playlistId, req.user?._id)
+
+    const currentIndex = playlist.videos.findIndex((id) => id.equals(videoId))
+
+    if (currentIndex === -1) {
+        throw new ApiError(404, "video is not in this playlist")
+    }
+
+    if (index >= playlist.videos.length) {
+        throw new ApiError(400, `index must be less than ${playlist.videos.length}`)
+    }
+
+    const videos = [...playlist.videos]
+    const [video] = videos.splice(currentIndex, 1)
+    videos.splice(index, 0, video)
+
+    playlist.videos = videos
+    await playlist.save()
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, playlist, "Playlist order updated successfully")
+    )
+})
+
+export {
+    createPlaylist,
+    getUserPlaylists,
+    getPlaylistById,
+    updatePlaylist,
+    deletePlaylist,
+    addVideoToPlaylist,
+    removeVideoFromPlaylist,
+    moveVideoInPlaylist
+}
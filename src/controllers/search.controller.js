@@ -0,0 +1,317 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.models.js";
+import { User } from "../models/user.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { Playlist } from "../models/playlist.models.js";
+import { lookupOwner } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+import { escapeRegex } from "../utils/regex.js";
+
+const MAX_QUERY_LENGTH = 100
+const DEFAULT_SUGGESTIONS = 10
+const MAX_SUGGESTIONS = 20
+
+// score = text relevance * (1 + ln(1 + popularity) / divisor)
+// -> popularity breaks ties between similar matches, a bad match with many views still ranks low
+const POPULARITY_BOOST_DIVISOR = 10
+
+const boostedScore = (popularityField) => ({
+    $multiply: [
+        "$textScore",
+        {
+            $add: [
+                1,
+                {
+                    $divide: [
+                        { $ln: { $add: [1, { $ifNull: [popularityField, 0] }] } },
+                        POPULARITY_BOOST_DIVISOR
+                    ]
+                }
+            ]
+        }
+    ]
+})
+
+// relevance has to be read right after the $text match
+const textMatch = (q, filter = {}) => [
+    {
+        $match: {
+            $text: { $search: q },
+            ...filter
+        }
+    },
+    {
+        $addFields: {
+            textScore: { $meta: "textScore" }
+        }
+    }
+]
+
+const byScore = {
+    $sort: {
+        score: -1,
+        _id: 1 // tie breaker so pages dont overlap
+    }
+}
+
+// one entry per facet -> model, what is searchable and how a result looks
+const SEARCH_TYPES = {
+    video: {
+        model: Video,
+        // unpublished videos (and ones still processing) never show up
+        filter: () => ({ isPublished: true }),
+        pipeline: () => [
+            {
+                $addFields: {
+                    score: boostedScore("$views")
+                }
+            },
+            byScore,
+            ...lookupOwner(),
+            {
+                $project: {
+                    title: 1,
+                    description: 1,
+                    thumbnail: 1,
+                    thumbnailVariants: 1,
+                    duration: 1,
+                    views: 1,
+                    createdAt: 1,
+                    owner: 1,
+                    score: 1
+                }
+            }
+        ]
+    },
+    channel: {
+        model: User,
+        filter: () => ({ status: { $ne: "banned" } }),
+        pipeline: () => [
+            {
+                $lookup: {
+                    from: "subscriptions",
+                    localField: "_id",
+                    foreignField: "channel",
+                    as: "subscribers",
+                    pipeline: [
+                        {
+                            $project: { _id: 1 }
+                        }
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    subscribersCount: {
+                        $size: "$subscribers"
+                    }
+                }
+            },
+            {
+                $addFields: {
+                    score: boostedScore("$subscribersCount")
+                }
+            },
+            byScore,
+            {
+                $project: {
+                    username: 1,
+                    fullName: 1,
+                    avatar: 1,
+                    avatarVariants: 1,
+                    subscribersCount: 1,
+                    score: 1
+                }
+            }
+        ]
+    },
+    tweet: {
+        model: Tweet,
+        filter: () => ({}),
+        pipeline: () => [
+            {
+                $addFields: {
+                    score: "$textScore"
+                }
+            },
+            byScore,
+            ...lookupOwner(),
+            {
+                $project: {
+                    content: 1,
+                    createdAt: 1,
+                    owner: 1,
+                    score: 1
+                }
+            }
+        ]
+    },
+    playlist: {
+        model: Playlist,
+        // unlisted and private playlists are only reachable through their link
+        filter: () => ({ visibility: "public" }),
+        pipeline: () => [
+            {
+                $addFields: {
+                    score: "$textScore",
+                    totalVideos: {
+                        $size: "$videos"
+                    }
+                }
+            },
+            byScore,
+            ...lookupOwner(),
+            {
+                $project: {
+                    name: 1,
+                    description: 1,
+                    totalVideos: 1,
+                    updatedAt: 1,
+                    owner: 1,
+                    score: 1
+                }
+            }
+        ]
+    }
+}
+
+const validateQuery = (q) => {
+    // ?q=a&q=b arrives as an array
+    if (q !== undefined && typeof q !== "string") {
+        throw new ApiError(400, "q must be a single string")
+    }
+
+    if (!q?.trim()) {
+        throw new ApiError(400, "q is required")
+    }
+
+    if (q.trim().length > MAX_QUERY_LENGTH) {
+        throw new ApiError(400, `q must be at most ${MAX_QUERY_LENGTH} characters`)
+    }
+
+    return q.trim()
+}
+
+const searchType = (type, q, pagination) => {
+    const { model, filter, pipeline } = SEARCH_TYPES[type]
+
+    const aggregate = model.aggregate([
+        ...textMatch(q, filter()),
+        ...pipeline()
+    ])
+
+    return model.aggregatePaginate(aggregate, pagination)
+}
+
+const countType = (type, q) => {
+    const { model, filter } = SEARCH_TYPES[type]
+    return model.countDocuments({ $text: { $search: q }, ...filter() })
+}
+
+const search = asyncHandler(async (req, res) => {
+    // q -> words to search for, "quoted phrases" and -excluded words work too
+    // type -> video, channel, tweet or playlist, without it every type gets a page of results
+    // facets -> number of matches per type, for the tabs of a search page
+    const { type } = req.query
+    const q = validateQuery(req.query.q)
+    const { page, limit } = getPagination(req.query)
+    const types = Object.keys(SEARCH_TYPES)
+
+    if (type && !types.includes(type)) {
+        throw new ApiError(400, `type must be one of ${types.join(", ")}`)
+    }
+
+    const selectedTypes = type ? [type] : types
+
+    const results = Object.fromEntries(await Promise.all(
+        selectedTypes.map(async (searchedType) => [
+            searchedType,
+            await searchType(searchedType, q, { page, limit })
+        ])
+    ))
+
+    // types that were searched already know their total
+    const facets = Object.fromEntries(await Promise.all(
+        types.map(async (facetType) => [
+            facetType,
+            results[facetType]?.totalDocs ?? await countType(facetType, q)
+        ])
+    ))
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            {
+                query: q,
+                type: type || "all",
+                facets,
+                results: type ? results[type] : results
+            },
+            "Search results fetched successfully"
+        )
+    )
+})
+
+const suggest = asyncHandler(async (req, res) => {
+    // prefix autocomplete -> channels by username, then published videos by title
+    // text indexes only match whole words, prefixes need a regex
+    const q = validateQuery(req.query.q)
+    const limit = Math.min(
+        Math.max(parseInt(req.query.limit) || DEFAULT_SUGGESTIONS, 1),
+        MAX_SUGGESTIONS
+    )
+
+    const prefix = escapeRegex(q.toLowerCase())
+
+    // usernames are stored lowercase -> the anchored regex can use the username index
+    const channels = await User.find({
+        username: new RegExp(`^${prefix}`),
+        status: { $ne: "banned" }
+    })
+    .select("username fullName avatar")
+    .limit(limit)
+    .lean()
+
+    const videos = await Video.find({
+        title: new RegExp(`^${prefix}`, "i"),
+        isPublished: true
+    })
+    .select("title")
+    .sort({ views: -1, _id: 1 })
+    .limit(limit)
+    .lean()
+
+    // at most half of the list is channels, unless there are not enough videos
+    const videoCount = Math.min(videos.length, limit - Math.min(channels.length, Math.ceil(limit / 2)))
+    const channelCount = Math.min(channels.length, limit - videoCount)
+
+    const suggestions = [
+        ...channels.slice(0, channelCount).map((channel) => ({
+            type: "channel",
+            id: channel._id,
+            text: channel.username,
+            fullName: channel.fullName,
+            avatar: channel.avatar
+        })),
+        ...videos.slice(0, videoCount).map((video) => ({
+            type: "video",
+            id: video._id,
+            text: video.title
+        }))
+    ]
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, { query: q, suggestions }, "Suggestions fetched successfully")
+    )
+})
+
+export {
+    search,
+    suggest
+}
@@ -0,0 +1,144 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Subscription } from "../models/subscription.models.js";
+import { User } from "../models/user.models.js";
+import { lookupOwner } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+import { notify } from "../utils/notifications.js";
+
+const toggleSubscription = asyncHandler(async (req, res) => {
+    // logged in user subscribes to channelId
+    // if already subscribed -> unsubscribe
+    const { channelId } = req.params
+
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "invalid channel id")
+    }
+
+    if (req.user?._id?.equals(channelId)) {
+        throw new ApiError(400, "you cannot subscribe to your own channel")
+    }
+
+    const channel = await User.exists({ _id: channelId })
+
+    if (!channel) {
+        throw new ApiError(404, "channel does not exists")
+    }
+
+    const filter = { subscriber: req.user?._id, channel: channel._id }
+
+    const existingSubscription = await Subscription.findOneAndDelete(filter)
+
+    if (!existingSubscription) {
+        try {
+            await Subscription.create(filter)
+            await notify({ recipient: channel._id, actor: req.user?._id, type: "subscriber" })
+        } catch (error) {
+            // 11000 -> a parallel request already subscribed
+            if (error?.code !== 11000) throw error
+        }
+    }
+
+    const subscribersCount = await Subscription.countDocuments({ channel: channel._id })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            {
+                isSubscribed: !existingSubscription,
+                subscribersCount
+            },
+            existingSubscription ? "Unsubscribed successfully" : "Subscribed successfully"
+        )
+    )
+})
+
+const getUserChannelSubscribers = asyncHandler(async (req, res) => {
+    // subscriptions where channel is channelId -> subscriber details
+    const { channelId } = req.params
+    const { page, limit } = getPagination(req.query, 20)
+
+    if (!isValidObjectId(channelId)) {
+        throw new ApiError(400, "invalid channel id")
+    }
+
+    const aggregate = Subscription.aggregate([
+        {
+            $match: {
+                channel: new mongoose.Types.ObjectId(channelId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupOwner("subscriber"),
+        {
+            $project: {
+                _id: 0,
+                subscriber: 1,
+                subscribedAt: "$createdAt"
+            }
+        }
+    ])
+
+    const subscribers = await Subscription.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, subscribers, "Subscribers fetched successfully")
+    )
+})
+
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+    // subscriptions where subscriber is subscriberId -> channel details
+    const { subscriberId } = req.params
+    const { page, limit } = getPagination(req.query, 20)
+
+    if (!isValidObjectId(subscriberId)) {
+        throw new ApiError(400, "invalid subscriber id")
+    }
+
+    const aggregate = Subscription.aggregate([
+        {
+            $match: {
+                subscriber: new mongoose.Types.ObjectId(subscriberId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupOwner("channel"),
+        {
+            $project: {
+                _id: 0,
+                channel: 1,
+                subscribedAt: "$createdAt"
+            }
+        }
+    ])
+
+    const channels = await Subscription.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, channels, "Subscribed channels fetched successfully")
+    )
+})
+
+export {
+    toggleSubscription,
+    getUserChannelSubscribers,
+    getSubscribedChannels
+}
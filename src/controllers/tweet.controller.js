@@ -0,0 +1,140 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Tweet } from "../models/tweet.models.js";
+import { Like } from "../models/like.models.js";
+import { Notification } from "../models/notification.models.js";
+import { User } from "../models/user.models.js";
+import { lookupOwner, lookupLikes } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+
+const MAX_TWEET_LENGTH = 500
+
+const validateContent = (content) => {
+    if (!content?.trim()) {
+        throw new ApiError(400, "content is required")
+    }
+
+    if (content.trim().length > MAX_TWEET_LENGTH) {
+        throw new ApiError(400, `content must be at most ${MAX_TWEET_LENGTH} characters`)
+    }
+}
+
+// only the owner of a tweet can modify it
+const findOwnedTweet = async (tweetId, userId) => {
+    if (!isValidObjectId(tweetId)) {
+        throw new ApiError(400, "invalid tweet id")
+    }
+
+    const tweet = await Tweet.findById(tweetId)
+
+    if (!tweet) {
+        throw new ApiError(404, "tweet not found")
+    }
+
+    if (!tweet.owner?.equals(userId)) {
+        throw new ApiError(403, "you are not allowed to modify this tweet")
+    }
+
+    return tweet
+}
+
+const createTweet = asyncHandler(async (req, res) => {
+    const { content } = req.body || {}
+
+    validateContent(content)
+
+    const tweet = await Tweet.create({
+        content: content.trim(),
+        owner: req.user?._id
+    })
+
+    return res
+    .status(201)
+    .json(
+        new ApiResponse(201, tweet, "Tweet created successfully")
+    )
+})
+
+const getUserTweets = asyncHandler(async (req, res) => {
+    // timeline of a channel, newest first
+    // every tweet carries likesCount and isLiked for the caller
+    const { userId } = req.params
+    const { page, limit } = getPagination(req.query)
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "invalid user id")
+    }
+
+    const user = await User.exists({ _id: userId })
+
+    if (!user) {
+        throw new ApiError(404, "user does not exist")
+    }
+
+    const aggregate = Tweet.aggregate([
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(userId)
+            }
+        },
+        {
+            $sort: {
+                createdAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupOwner(),
+        ...lookupLikes("tweet", req.user?._id)
+    ])
+
+    const tweets = await Tweet.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, tweets, "Tweets fetched successfully")
+    )
+})
+
+const updateTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+    const { content } = req.body || {}
+
+    validateContent(content)
+
+    const tweet = await findOwnedTweet(tweetId, req.user?._id)
+
+    tweet.content = content.trim()
+    await tweet.save()
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, tweet, "Tweet updated successfully")
+    )
+})
+
+const deleteTweet = asyncHandler(async (req, res) => {
+    const { tweetId } = req.params
+
+    const tweet = await findOwnedTweet(tweetId, req.user?._id)
+
+    await Tweet.findByIdAndDelete(tweet._id)
+    await Like.deleteMany({ tweet: tweet._id })
+    await Notification.deleteMany({ tweet: tweet._id })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Tweet deleted successfully")
+    )
+})
+
+export {
+    createTweet,
+    getUserTweets,
+    updateTweet,
+    deleteTweet
+}
@@ -1,17 +1,68 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import {ApiError} from "../utils/ApiError.js"
 import { User } from '../models/user.models.js'
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { enqueueImageProcessing } from "../jobs/media.jobs.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.models.js";
+import { WatchHistory } from "../models/watchHistory.models.js";
+import { Session } from "../models/session.models.js";
+import { lookupOwner } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+import { sendMail } from "../utils/mailer.js";
+import { generateTemporaryToken, hashToken } from "../utils/tokens.js";
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from "../utils/totp.js";
+import {
+    CONTINUE_WATCHING_LIMIT,
+    CONTINUE_WATCHING_THRESHOLD,
+    EMAIL_VERIFICATION_TOKEN_EXPIRY_MINUTES,
+    PASSWORD_RESET_TOKEN_EXPIRY_MINUTES,
+    TWO_FACTOR_CHALLENGE_EXPIRY,
+    TWO_FACTOR_ISSUER,
+    TWO_FACTOR_RECOVERY_CODE_COUNT
+} from "../constants.js";
+import { clearFailedLogins, getLoginLockout, recordFailedLogin } from "../utils/loginThrottle.js";
 import jwt from 'jsonwebtoken'
-import mongoose from "mongoose";
+import bcrypt from 'bcrypt'
+import crypto from 'crypto'
+import mongoose, { isValidObjectId } from "mongoose";
+
+// used to spend the same time on unknown users as on a real password check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10)
+
+// links in mails point to the frontend, it calls the api with the token
+const getClientUrl = () => process.env.CLIENT_URL || process.env.CORS_ORIGIN || "http://localhost:3000"
+
+// new token every time -> older verification links stop working
+const sendVerificationMail = async (user) => {
+    const { token, hashedToken, tokenExpiry } = generateTemporaryToken(
+        EMAIL_VERIFICATION_TOKEN_EXPIRY_MINUTES
+    )
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                emailVerificationToken: hashedToken,
+                emailVerificationExpiry: tokenExpiry
+            }
+        }
+    )
+
+    const link = `${getClientUrl()}/verify-email?token=${token}`
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email",
+        text: `Hi ${user.fullName},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TOKEN_EXPIRY_MINUTES / 60} hours.`
+    })
+}
 
 const registerUser = asyncHandler( async (req,res) =>{
     // get details from frontend
     // validation - not empty
     // check if user already exist - useraname,email
     // files - avatar and coverimage
-    // uplaod them to cloudinary and check if sucess
+    // uplaod them to storage and check if sucess
     // create user object -> for mongodb -> create entry in db
     // remove password and refreshtoken field from response
     // check for user creation success 
@@ -25,21 +76,22 @@ const registerUser = asyncHandler( async (req,res) =>{
     //     throw new ApiError(400,"fullName is required")
     // }
     if(
-        [fullName,email,username,password].some((field) => field?.trim() === "")
+        [fullName,email,username,password].some((field) => !field?.trim())
     )
         {
             throw new ApiError(400,"All fields are required")
     }
 
     const existedUser = await User.findOne({
-        $or : [ { username } , { email } ]
+        // both are stored lowercase
+        $or : [ { username: username.toLowerCase() } , { email: email.toLowerCase() } ]
     })
     if(existedUser) {
         throw new ApiError(409,"User with email or username already exist")
     }
 
     // from multer
-    const avatarLocalPath = req.files?.avatar[0]?.path
+    const avatarLocalPath = req.files?.avatar?.[0]?.path
     // const coverImageLocalPath = req.files?.coverImage[0]?.path
 
     let coverImageLocalPath;
@@ -51,29 +103,43 @@ const registerUser = asyncHandler( async (req,res) =>{
         throw new ApiError(400,"avatar file is required")
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
-
-    if(!avatar){
-        throw new ApiError(400,"avatar file is required")
-    }
-
+    // images are resized and uploaded by the image.process job, avatar is empty until it is done
     const user = await User.create({
         fullName,
-        avatar : avatar.url,
-        coverImage : coverImage?.url || "",
+        avatar : "",
+        avatarProcessing : { status : "queued" },
         email,
         password,
         username : username.toLowerCase()
     })
 
+    try {
+        await enqueueImageProcessing({ model: "User", documentId: user._id, field: "avatar", localFilePath: avatarLocalPath })
+
+        if(coverImageLocalPath){
+            await enqueueImageProcessing({ model: "User", documentId: user._id, field: "coverImage", localFilePath: coverImageLocalPath })
+        }
+    } catch (error) {
+        // no half registered users -> the client can simply try again
+        await User.deleteOne({ _id: user._id })
+        throw error
+    }
+
     // check if user is created and remove password and refreshToken
     const createdUser = await User.findById(user._id).select(
         "-password -refreshToken"
     )
 
     if(!createdUser){
-        throw new APiError(500 ,"Something went wrong during user creation")
+        throw new ApiError(500 ,"Something went wrong during user creation")
+    }
+
+    // account works right away, verification is needed for routes that require it
+    // a failed mail should not fail the registration, user can ask for it again
+    try {
+        await sendVerificationMail(createdUser)
+    } catch (error) {
+        console.log("verification mail failed ", error)
     }
 
     return res.status(201).json(
@@ -81,54 +147,56 @@ const registerUser = asyncHandler( async (req,res) =>{
     )
 } )
 
-const generateAccessAndRefreshTokens = async (userId) => {
+// tokens are tied to a session (one per device)
+// no session -> login, creates a new session
+// session -> refresh, rotates its refresh token
+// returns null if the session was rotated by someone else in between
+const generateAccessAndRefreshTokens = async (userId, req, session = null) => {
+    const sessionId = session?._id || new mongoose.Types.ObjectId()
+
+    let accessToken, refreshToken
     try {
         const user = await User.findById(userId)
 
-        const refreshToken = user.generateRefershToken()
-        const accessToken = user.generateAccessToken()
-
-        user.refreshToken = refreshToken
-        await user.save({validateBeforeSave: false})
-
-        return{accessToken,refreshToken}
-
+        refreshToken = user.generateRefershToken(sessionId)
+        accessToken = user.generateAccessToken(sessionId)
     } catch (error) {
         throw new ApiError(500,"error while generating tokens")
     }
-}
 
-const loginUser = asyncHandler ( async(req,res) => {
-    // req body -> data
-    // username or email for login
-    // find the user
-    // check password
-    // generate tokens 
-    // return as cookies
-
-    const {username,email,password} = req.body
-    if(!(username || email)){
-        throw new ApiError(400,"username or email is required")
+    const sessionDetails = {
+        // only the hash is stored, a leaked db cant be used to refresh
+        refreshTokenHash: Session.hashToken(refreshToken),
+        userAgent: req.get("user-agent") || "",
+        ip: req.ip,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
     }
 
-    const user = await User.findOne({
-        $or : [{email},{username}]
-    })
+    if (!session) {
+        await Session.create({
+            _id: sessionId,
+            user: userId,
+            ...sessionDetails
+        })
+    } else {
+        // compare and swap -> only the holder of the current token can rotate it
+        const rotatedSession = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: session.refreshTokenHash },
+            { $set: sessionDetails }
+        )
 
-    if(!user){
-        throw new ApiError(404,"user does not exist")
+        if (!rotatedSession) return null
     }
 
-    const isPasswordValid = await user.isPasswordCorrect(password)
-    if(!isPasswordValid){
-        throw new ApiError(401,"Password incorrect")
-    }
+    return {accessToken,refreshToken}
+}
 
-    const {accessToken,refreshToken} = await generateAccessAndRefreshTokens(user._id)
-    // the above user is queried before updating refreshToken so its still empty
-    // so query again
+// new session for the user, tokens as cookies and in the body
+const sendLoggedInResponse = async (req, res, userId) => {
+    const {accessToken,refreshToken} = await generateAccessAndRefreshTokens(userId, req)
 
-    const loggedInUser = await User.findById(user._id)
+    const loggedInUser = await User.findById(userId)
     .select("-password -refreshToken")
 
     const options = {
@@ -151,24 +219,135 @@ const loginUser = asyncHandler ( async(req,res) => {
             "User logged In Successfully"
         )
     )
-})
+}
+
+// code from the authenticator app, or one of the recovery codes (used up once accepted)
+// user has to be loaded with twoFactorSecret
+const verifySecondFactor = async (user, code) => {
+    const step = verifyTotp(user.twoFactorSecret, code?.trim())
+
+    if(step !== null){
+        // same code (or an older one) cant be replayed, filter makes parallel requests safe too
+        const { modifiedCount } = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { twoFactorLastUsedStep: { $exists: false } },
+                    { twoFactorLastUsedStep: { $lt: step } }
+                ]
+            },
+            { $set: { twoFactorLastUsedStep: step } }
+        )
+        return modifiedCount === 1
+    }
+
+    const codeHash = hashToken(normalizeRecoveryCode(code))
+    const { modifiedCount } = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: codeHash },
+        { $pull: { twoFactorRecoveryCodes: codeHash } }
+    )
 
+    return modifiedCount === 1
+}
+
+const normalizeRecoveryCode = (code = "") => code.toLowerCase().replace(/[^a-z0-9]/g, "")
+
+// codes -> shown to the user once, hashes -> stored
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString("hex")
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`
+    })
+
+    return {
+        codes,
+        hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code)))
+    }
+}
+
+const loginUser = asyncHandler ( async(req,res) => {
+    // req body -> data
+    // username or email for login
+    // find the user
+    // check password
+    // generate tokens 
+    // return as cookies
+
+    const {username,email,password} = req.body
+    if(!(username || email)){
+        throw new ApiError(400,"username or email is required")
+    }
+
+    // both are stored lowercase, only query the ones that were sent
+    const user = await User.findOne({
+        $or : [
+            ...(email ? [{email: email.toLowerCase()}] : []),
+            ...(username ? [{username: username.toLowerCase()}] : [])
+        ]
+    })
+
+    // failed attempts are tracked per account (or the name tried) and per ip
+    const accountKey = user?._id.toString() || (username || email).toLowerCase()
+
+    const retryAfter = await getLoginLockout(accountKey, req.ip)
+    if(retryAfter){
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(429,"Too many failed login attempts, please try again later")
+    }
+
+    // compare against a dummy hash for unknown users so both cases take the same time
+    const isPasswordValid = user
+        ? await user.isPasswordCorrect(password)
+        : await bcrypt.compare(password, DUMMY_PASSWORD_HASH)
+
+    // same error for unknown user and wrong password -> accounts cant be enumerated
+    if(!user || !isPasswordValid){
+        await recordFailedLogin(accountKey, req.ip)
+        throw new ApiError(401,"Invalid credentials")
+    }
+
+    await clearFailedLogins(accountKey)
+
+    // banned or suspended accounts cant log in
+    const restriction = user.getAccessRestriction()
+    if(restriction){
+        throw new ApiError(403,restriction)
+    }
+
+    // password is right but a code from the authenticator app is still needed
+    // -> short lived challenge token instead of session tokens
+    if(user.isTwoFactorEnabled){
+        const challengeToken = jwt.sign(
+            { _id: user._id, purpose: "2fa" },
+            process.env.ACCESS_TOKEN_SECRET,
+            { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+        )
+
+        return res.status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    twoFactorRequired: true,
+                    challengeToken
+                },
+                "Two factor code required"
+            )
+        )
+    }
+
+    return sendLoggedInResponse(req, res, user._id)
+})
 
 const logoutUser = asyncHandler ( async(req,res) => {
     // reset access and refresh tokens
     // remove cookies
     // we dont know userId to reset tokens so using middleware we add a object in req (req.user)
-    const userId = req.user._id
-    await User.findByIdAndUpdate(
-        userId,
-        {
-            $unset: {
-                refreshToken: 1
-            }
-        },{
-            new: true
-        }
-    )
+    // only this device is logged out, sessions on other devices stay
+    await Session.deleteOne({
+        _id: req.sessionId,
+        user: req.user._id
+    })
 
     const options = {
         // only server can modify cookies
@@ -192,47 +371,62 @@ const refershAccessToken = asyncHandler( async (req, res,) => {
         throw new ApiError(401,"unauthorized request")
     }
 
+    let decodedToken
     try {
-        const decodedToken = await jwt.verify(incomingRefreshToken,process.env.REFRESH_TOKEN_SECRET)
-    
-        const user = await User.findById(decodedToken?._id)
-    
-        if(!user){
-            throw new ApiError(401,"invalid refresh token")
-        }
-    
-        if(incomingRefreshToken !== user?.refreshToken){
-            throw new APiError(401,"Refresh token is expired or invalid")
-        }
-    
-        const {accessToken,newRefreshToken} = await generateAccessAndRefreshTokens(user._id)
-    
-        const options = {
-            httpOnly : true,
-            secure : true
-        }
-    
-        return res.status(200)
-        .cookie("accessToken",accessToken,options)
-        .cookie("refreshToken",newRefreshToken,options)
-        .json(
-            new ApiResponse(
-                200,
-                {
-                    accessToken,
-                    refreshToken:newRefreshToken
-                },
-                "Access token refreshed sucessfully"
-            )
-        )
+        decodedToken = jwt.verify(incomingRefreshToken,process.env.REFRESH_TOKEN_SECRET)
     } catch (error) {
-        throw new APiError(401,error?.message || "invalid refresh token")
+        throw new ApiError(401,error?.message || "invalid refresh token")
+    }
+
+    const session = await Session.findById(decodedToken?.sid)
+
+    if(!session || !session.user.equals(decodedToken._id)){
+        throw new ApiError(401,"Refresh token is expired or invalid")
+    }
+
+    const user = await User.findById(session.user)
+    const restriction = user ? user.getAccessRestriction() : "User does not exist"
+    if(restriction){
+        await Session.deleteOne({ _id: session._id })
+        throw new ApiError(403,restriction)
+    }
+
+    // valid signature but not the current token of the session
+    // -> an already rotated token is being reused, it may be stolen
+    // revoke the whole session so neither copy can be used anymore
+    const tokens = session.refreshTokenHash === Session.hashToken(incomingRefreshToken)
+        ? await generateAccessAndRefreshTokens(session.user, req, session)
+        : null
+
+    if(!tokens){
+        await Session.deleteOne({ _id: session._id })
+        throw new ApiError(401,"Refresh token reuse detected, please login again")
+    }
+
+    const {accessToken,refreshToken} = tokens
+
+    const options = {
+        httpOnly : true,
+        secure : true
     }
 
+    return res.status(200)
+    .cookie("accessToken",accessToken,options)
+    .cookie("refreshToken",refreshToken,options)
+    .json(
+        new ApiResponse(
+            200,
+            {
+                accessToken,
+                refreshToken
+            },
+            "Access token refreshed sucessfully"
+        )
+    )
 })
 
 const changeCurrentPassword = asyncHandler( async (req,res) => {
-    const {oldPassword,newPassowrd} = req.body
+    const {oldPassword,newPassword} = req.body
 
     const userId = req.user?._id
 
@@ -244,9 +438,15 @@ const changeCurrentPassword = asyncHandler( async (req,res) => {
         throw new ApiError(400,"invalid password")
     }
 
-    user.password = newPassowrd
+    user.password = newPassword
     await user.save({validateBeforeSave : false})
 
+    // someone else may know the old password -> log out the other devices
+    await Session.deleteMany({
+        user: user._id,
+        _id: { $ne: req.sessionId }
+    })
+
     return res.status(200)
     .json( new ApiResponse(200,{},"Password changed sucessfully"))
 })
@@ -260,20 +460,47 @@ const updateAccountDetails = asyncHandler(async(req,res) => {
     const {fullName,email} = req.body
 
     if(!(fullName || email)){
-        throw new ApiError(400,"all fields are required")
+        throw new ApiError(400,"fullName or email is required")
+    }
+
+    // only set what was sent, $set with undefined would wipe the field
+    const update = {}
+
+    if(fullName){
+        update.fullName = fullName
+    }
+
+    const emailChanged = email && email.toLowerCase() !== req.user.email
+    if(emailChanged){
+        const emailTaken = await User.exists({
+            email: email.toLowerCase(),
+            _id: { $ne: req.user._id }
+        })
+        if(emailTaken){
+            throw new ApiError(409,"User with this email already exist")
+        }
+
+        update.email = email.toLowerCase()
+        // new address has to be verified again
+        update.isEmailVerified = false
     }
 
     const user = await User.findByIdAndUpdate(
         req.user?._id,
         {
-            $set:{
-                fullName,
-                email
-            }
+            $set: update
         },
         {new : true}
     ).select("-password")
 
+    if(emailChanged){
+        try {
+            await sendVerificationMail(user)
+        } catch (error) {
+            console.log("verification mail failed ", error)
+        }
+    }
+
     return res.status(200)
     .json(
         new ApiResponse(200,user,"Account details updated sucessfully")
@@ -287,25 +514,14 @@ const updateAvatar = asyncHandler( async(req,res) => {
         throw new ApiError(400,"avatar file is missing")
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
+    // resized and uploaded by the image.process job, the old avatar stays until then
+    await enqueueImageProcessing({ model: "User", documentId: req.user?._id, field: "avatar", localFilePath: avatarLocalPath })
 
-    if(!avatar.url){
-        throw new ApiError(400,"Error while Uploading to cloudinary")
-    }
-
-    const user = await User.findByIdAndUpdate(
-        req.user?._id,
-        {
-            $set: {
-                avatar : avatar.url
-            }
-        },
-        {new : true}
-    ).select("-password")
+    const user = await User.findById(req.user?._id).select("-password")
 
-    return res.status(200)
+    return res.status(202)
     .json(
-        new ApiResponse(200,user,"Avatar updated sucessfully")
+        new ApiResponse(202,user,"Avatar is being processed")
     )
 })
 
@@ -316,25 +532,14 @@ const updateCoverImage = asyncHandler( async(req,res) => {
         throw new ApiError(400,"coverImage file is missing")
     }
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    // resized and uploaded by the image.process job, the old coverImage stays until then
+    await enqueueImageProcessing({ model: "User", documentId: req.user?._id, field: "coverImage", localFilePath: coverImageLocalPath })
 
-    if(!coverImage.url){
-        throw new ApiError(400,"Error while Uploading to cloudinary")
-    }
-
-    const user = await User.findByIdAndUpdate(
-        req.user?._id,
-        {
-            $set: {
-                coverImage : coverImage.url
-            }
-        },
-        {new : true}
-    ).select("-password")
+    const user = await User.findById(req.user?._id).select("-password")
 
-    return res.status(200)
+    return res.status(202)
     .json(
-        new ApiResponse(200,user,"CoverImage updated sucessfully")
+        new ApiResponse(202,user,"CoverImage is being processed")
     )
 })
 
@@ -393,7 +598,9 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
                 channelsSubscribedToCount: 1,
                 isSubscribed: 1,
                 avatar: 1,
+                avatarVariants: 1,
                 coverImage: 1,
+                coverImageVariants: 1,
                 email: 1
 
             }
@@ -412,63 +619,646 @@ const getUserChannelProfile = asyncHandler(async(req, res) => {
 })
 
 
+// history entry -> video card with owner
+// users -> watchhistories -> videos -> users
+const lookupHistoryVideo = (userId) => [
+    {
+        $lookup: {
+            from: "videos",
+            localField: "video",
+            foreignField: "_id",
+            as: "video",
+            pipeline: [ //nested pipeline to get details of owners
+                ...lookupOwner(),
+                {
+                    $project: {
+                        title: 1,
+                        thumbnail: 1,
+                        thumbnailVariants: 1,
+                        duration: 1,
+                        views: 1,
+                        isPublished: 1,
+                        createdAt: 1,
+                        owner: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $unwind: "$video" // drops entries of deleted videos
+    },
+    {
+        // unpublished videos stay visible only to their owner
+        $match: {
+            $or: [
+                { "video.isPublished": true },
+                { "video.owner._id": userId }
+            ]
+        }
+    }
+]
+
+// group history entries (already sorted newest first) by the day they were watched
+// -> [{ label: "Today", date: "2025-01-31", entries: [...] }, ...]
+const groupHistoryByDay = (entries, timeZone) => {
+    const dayFormat = new Intl.DateTimeFormat("en-CA", {
+        timeZone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit"
+    })
+
+    const today = dayFormat.format(new Date())
+    const yesterday = dayFormat.format(new Date(Date.now() - 24 * 60 * 60 * 1000))
+
+    const groups = []
+    for (const entry of entries) {
+        const date = dayFormat.format(entry.watchedAt)
+
+        if (groups.at(-1)?.date !== date) {
+            groups.push({
+                label: date === today ? "Today" : date === yesterday ? "Yesterday" : date,
+                date,
+                entries: []
+            })
+        }
+
+        groups.at(-1).entries.push(entry)
+    }
+
+    return groups
+}
+
 const getWatchHistory = asyncHandler(async(req, res) => {
-    const user = await User.aggregate([
+    // page, limit -> pagination, most recently watched first
+    // groupBy=day -> also return entries grouped as Today / Yesterday / date
+    // timezone -> IANA zone the days are counted in, defaults to UTC
+    const { groupBy, timezone = "UTC" } = req.query
+    const { page, limit } = getPagination(req.query, 20)
+
+    if (groupBy !== undefined && groupBy !== "day") {
+        throw new ApiError(400, "groupBy must be day")
+    }
+
+    try {
+        new Intl.DateTimeFormat("en-CA", { timeZone: timezone })
+    } catch (error) {
+        throw new ApiError(400, "invalid timezone")
+    }
+
+    // aggregate code is sent directly
+    // so we cant user req.user._id -> this returns a string
+    // so we need to create a mongo id and then match
+    const userId = new mongoose.Types.ObjectId(req.user._id)
+
+    // history used to be an array on the user, move it over once
+    if (req.user.watchHistory?.length) {
+        await WatchHistory.importLegacy(userId, req.user.watchHistory, req.user.updatedAt)
+        await User.updateOne({ _id: userId }, { $set: { watchHistory: [] } })
+    }
+
+    const aggregate = WatchHistory.aggregate([
         {
             $match: {
-                // aggregate code is sent directly
-                // so we cant user req.user._id -> this returns a string
-                // so we need to create a mongo id and then match
-                _id: new mongoose.Types.ObjectId(req.user._id)
+                user: userId
             }
         },
         {
-            $lookup: { //users -> videos
-                from: "videos",
-                localField: "watchHistory",
-                foreignField: "_id",
-                as: "watchHistory",
-                pipeline: [ //nested pipeline to get details of owners
-                    {
-                        $lookup: { // users -> videos -> users
-                            from: "users",
-                            localField: "owner",
-                            foreignField: "_id",
-                            as: "owner",
-                            pipeline: [
-                                {
-                                    $project: {
-                                        fullName: 1,
-                                        username: 1,
-                                        avatar: 1
-                                    }
-                                }
-                            ]
-                        }
-                    },
-                    {
-                        $addFields:{ // overwrite owner firld in videos model
-                            owner:{ // arrays is retruned from aggregate , we need only the first object
-                                $first: "$owner"
-                            }
-                        }
-                    }
-                ]
+            $sort: {
+                watchedAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupHistoryVideo(userId),
+        {
+            $project: {
+                _id: 0,
+                video: 1,
+                watchedAt: 1,
+                position: 1
+            }
+        }
+    ])
+
+    const history = await WatchHistory.aggregatePaginate(aggregate, { page, limit })
+
+    if (groupBy === "day") {
+        history.groups = groupHistoryByDay(history.docs, timezone)
+    }
+
+    // started but not finished videos, most recent first
+    const continueWatching = await WatchHistory.aggregate([
+        {
+            $match: {
+                user: userId,
+                position: { $gt: 0 }
+            }
+        },
+        {
+            $sort: {
+                watchedAt: -1,
+                _id: -1
+            }
+        },
+        ...lookupHistoryVideo(userId),
+        {
+            $match: {
+                $expr: {
+                    $lt: [
+                        "$position",
+                        { $multiply: ["$video.duration", CONTINUE_WATCHING_THRESHOLD] }
+                    ]
+                }
+            }
+        },
+        {
+            $limit: CONTINUE_WATCHING_LIMIT
+        },
+        {
+            $project: {
+                _id: 0,
+                video: 1,
+                watchedAt: 1,
+                position: 1,
+                progress: {
+                    $cond: [
+                        { $gt: ["$video.duration", 0] },
+                        { $divide: ["$position", "$video.duration"] },
+                        0
+                    ]
+                }
             }
         }
     ])
 
+    history.continueWatching = continueWatching
+
     return res
     .status(200)
     .json(
         new ApiResponse(
             200,
-            user[0].watchHistory,
+            history,
             "Watch history fetched successfully"
         )
     )
 })
 
+const updateWatchPosition = asyncHandler(async(req, res) => {
+    // player reports where the viewer is -> body { position } in seconds
+    const { videoId } = req.params
+    const position = Number(req.body?.position)
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    if (!Number.isFinite(position) || position < 0) {
+        throw new ApiError(400, "position must be a non negative number")
+    }
+
+    const video = await Video.findById(videoId).select("isPublished owner duration")
+
+    if (!video || (!video.isPublished && !video.owner?.equals(req.user._id))) {
+        throw new ApiError(404, "video not found")
+    }
+
+    if (req.user.isWatchHistoryPaused) {
+        return res
+        .status(200)
+        .json(
+            new ApiResponse(200, {}, "Watch history is paused")
+        )
+    }
+
+    const entry = await WatchHistory.updatePosition(
+        req.user._id,
+        video._id,
+        Math.min(position, video.duration || position)
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, entry, "Watch position updated")
+    )
+})
+
+const loginWithTwoFactor = asyncHandler(async(req, res) => {
+    // second step of login -> challenge token from loginUser + code
+    const { challengeToken, code } = req.body
+
+    let decodedToken
+    try {
+        decodedToken = jwt.verify(challengeToken, process.env.ACCESS_TOKEN_SECRET)
+    } catch (error) {
+        throw new ApiError(401, "Login challenge is invalid or has expired, please login again")
+    }
+
+    if(decodedToken.purpose !== "2fa"){
+        throw new ApiError(401, "Login challenge is invalid or has expired, please login again")
+    }
+
+    const user = await User.findById(decodedToken._id).select("+twoFactorSecret")
+
+    if(!user?.isTwoFactorEnabled){
+        throw new ApiError(401, "Login challenge is invalid or has expired, please login again")
+    }
+
+    const accountKey = user._id.toString()
+
+    // codes are short, they get the same lockout as passwords
+    const retryAfter = await getLoginLockout(accountKey, req.ip)
+    if(retryAfter){
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(429,"Too many failed login attempts, please try again later")
+    }
+
+    if(!(await verifySecondFactor(user, code))){
+        await recordFailedLogin(accountKey, req.ip)
+        throw new ApiError(401, "Invalid two factor code")
+    }
+
+    await clearFailedLogins(accountKey)
+
+    const restriction = user.getAccessRestriction()
+    if(restriction){
+        throw new ApiError(403,restriction)
+    }
+
+    return sendLoggedInResponse(req, res, user._id)
+})
+
+const setupTwoFactor = asyncHandler(async(req, res) => {
+    // new secret, only active after confirmTwoFactor gets a valid code for it
+    if(req.user.isTwoFactorEnabled){
+        throw new ApiError(400, "Two factor authentication is already enabled")
+    }
+
+    const secret = generateTotpSecret()
+
+    await User.updateOne(
+        { _id: req.user._id },
+        { $set: { twoFactorPendingSecret: secret } }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            {
+                secret,
+                otpauthUri: buildOtpauthUri(secret, req.user.email, TWO_FACTOR_ISSUER)
+            },
+            "Scan the code in your authenticator app and confirm with a code"
+        )
+    )
+})
+
+const confirmTwoFactor = asyncHandler(async(req, res) => {
+    // first code from the app proves it has the secret -> enable and hand out recovery codes
+    const { code } = req.body
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret")
+
+    if(user.isTwoFactorEnabled){
+        throw new ApiError(400, "Two factor authentication is already enabled")
+    }
+
+    if(!user.twoFactorPendingSecret){
+        throw new ApiError(400, "Start two factor setup first")
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code?.trim())
+    if(step === null){
+        throw new ApiError(400, "Invalid two factor code")
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: {
+                isTwoFactorEnabled: true,
+                twoFactorSecret: user.twoFactorPendingSecret,
+                twoFactorRecoveryCodes: hashes,
+                twoFactorLastUsedStep: step
+            },
+            $unset: { twoFactorPendingSecret: 1 }
+        }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            { recoveryCodes: codes },
+            "Two factor authentication enabled, store the recovery codes somewhere safe"
+        )
+    )
+})
+
+const disableTwoFactor = asyncHandler(async(req, res) => {
+    // password + code (or recovery code), a stolen session alone is not enough
+    const { password, code } = req.body
+
+    const user = await User.findById(req.user._id).select("+twoFactorSecret")
+
+    if(!user.isTwoFactorEnabled){
+        throw new ApiError(400, "Two factor authentication is not enabled")
+    }
+
+    if(!(await user.isPasswordCorrect(password))){
+        throw new ApiError(400, "invalid password")
+    }
+
+    if(!(await verifySecondFactor(user, code))){
+        throw new ApiError(400, "Invalid two factor code")
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: { isTwoFactorEnabled: false },
+            $unset: {
+                twoFactorSecret: 1,
+                twoFactorRecoveryCodes: 1,
+                twoFactorLastUsedStep: 1
+            }
+        }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Two factor authentication disabled")
+    )
+})
+
+const verifyEmail = asyncHandler(async(req, res) => {
+    // token from the link in the verification mail
+    const { token } = req.body
+
+    if (!token?.trim()) {
+        throw new ApiError(400, "token is required")
+    }
+
+    const user = await User.findOneAndUpdate(
+        {
+            emailVerificationToken: hashToken(token.trim()),
+            emailVerificationExpiry: { $gt: new Date() }
+        },
+        {
+            $set: { isEmailVerified: true },
+            // single use
+            $unset: { emailVerificationToken: 1, emailVerificationExpiry: 1 }
+        },
+        { new: true }
+    ).select("-password")
+
+    if (!user) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, user, "Email verified successfully")
+    )
+})
+
+const resendVerificationEmail = asyncHandler(async(req, res) => {
+    if (req.user.isEmailVerified) {
+        throw new ApiError(400, "Email is already verified")
+    }
+
+    await sendVerificationMail(req.user)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Verification email sent")
+    )
+})
+
+const forgotPassword = asyncHandler(async(req, res) => {
+    const { email } = req.body
+
+    if (!email?.trim()) {
+        throw new ApiError(400, "email is required")
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() })
+
+    // same response whether the account exists or not -> emails cant be enumerated
+    if (user) {
+        const { token, hashedToken, tokenExpiry } = generateTemporaryToken(
+            PASSWORD_RESET_TOKEN_EXPIRY_MINUTES
+        )
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    passwordResetToken: hashedToken,
+                    passwordResetExpiry: tokenExpiry
+                }
+            }
+        )
+
+        const link = `${getClientUrl()}/reset-password?token=${token}`
+
+        // a failed mail must not change the response, an error only for real accounts would give them away
+        try {
+            await sendMail({
+                to: user.email,
+                subject: "Reset your password",
+                text: `Hi ${user.fullName},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TOKEN_EXPIRY_MINUTES} minutes. If you did not ask for this, ignore this mail.`
+            })
+        } catch (error) {
+            console.log("password reset mail failed ", error)
+        }
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "If an account with that email exists, a reset link has been sent")
+    )
+})
+
+const resetPassword = asyncHandler(async(req, res) => {
+    const { token, newPassword } = req.body
+
+    if (!token?.trim() || !newPassword) {
+        throw new ApiError(400, "token and newPassword are required")
+    }
+
+    const user = await User.findOne({
+        passwordResetToken: hashToken(token.trim()),
+        passwordResetExpiry: { $gt: new Date() }
+    })
+
+    if (!user) {
+        throw new ApiError(400, "Reset link is invalid or has expired")
+    }
+
+    user.password = newPassword
+    // single use
+    user.passwordResetToken = undefined
+    user.passwordResetExpiry = undefined
+    // the link was mailed to them, so the email is theirs
+    user.isEmailVerified = true
+    await user.save({validateBeforeSave : false})
+
+    // whoever had the old password is logged out everywhere
+    await Session.deleteMany({ user: user._id })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Password reset successfully, please login again")
+    )
+})
+
+const getSessions = asyncHandler(async(req, res) => {
+    // devices the user is logged in on, most recently used first
+    const sessions = await Session.find({ user: req.user._id })
+    .sort({ lastUsedAt: -1 })
+    .select("-refreshTokenHash")
+    .lean()
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            sessions.map((session) => ({
+                ...session,
+                isCurrent: session._id.equals(req.sessionId)
+            })),
+            "Sessions fetched successfully"
+        )
+    )
+})
+
+const revokeSession = asyncHandler(async(req, res) => {
+    const { sessionId } = req.params
+
+    if (!isValidObjectId(sessionId)) {
+        throw new ApiError(400, "invalid session id")
+    }
+
+    const { deletedCount } = await Session.deleteOne({
+        _id: sessionId,
+        user: req.user._id
+    })
+
+    if (!deletedCount) {
+        throw new ApiError(404, "session not found")
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Session revoked successfully")
+    )
+})
+
+const revokeOtherSessions = asyncHandler(async(req, res) => {
+    // log out everywhere except the device making this request
+    const { deletedCount } = await Session.deleteMany({
+        user: req.user._id,
+        _id: { $ne: req.sessionId }
+    })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, { revokedCount: deletedCount }, "Logged out of all other devices")
+    )
+})
+
+const removeFromWatchHistory = asyncHandler(async(req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    await WatchHistory.deleteOne({
+        user: req.user._id,
+        video: new mongoose.Types.ObjectId(videoId)
+    })
+
+    // entry may still be waiting in the legacy array
+    await User.updateOne(
+        { _id: req.user._id },
+        {
+            $pull: {
+                watchHistory: new mongoose.Types.ObjectId(videoId)
+            }
+        }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Video removed from watch history")
+    )
+})
+
+const clearWatchHistory = asyncHandler(async(req, res) => {
+    await WatchHistory.deleteMany({ user: req.user._id })
+    await User.updateOne(
+        { _id: req.user._id },
+        {
+            $set: {
+                watchHistory: []
+            }
+        }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Watch history cleared")
+    )
+})
+
+const toggleWatchHistoryPause = asyncHandler(async(req, res) => {
+    // body -> { paused: true/false } sets it, empty body toggles it
+    const { paused } = req.body || {}
+
+    if (paused !== undefined && typeof paused !== "boolean") {
+        throw new ApiError(400, "paused must be a boolean")
+    }
+
+    const isWatchHistoryPaused = paused ?? !req.user.isWatchHistoryPaused
+
+    await User.updateOne(
+        { _id: req.user._id },
+        {
+            $set: {
+                isWatchHistoryPaused
+            }
+        }
+    )
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            { isWatchHistoryPaused },
+            isWatchHistoryPaused ? "Watch history paused" : "Watch history resumed"
+        )
+    )
+})
 
 
 export {
@@ -482,5 +1272,20 @@ export {
     updateAvatar,
     updateCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    updateWatchPosition,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    toggleWatchHistoryPause,
+    loginWithTwoFactor,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    getSessions,
+    revokeSession,
+    revokeOtherSessions
 } 
\ No newline at end of file
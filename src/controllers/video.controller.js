@@ -0,0 +1,695 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import fs from "fs";
+import crypto from "crypto";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Like } from "../models/like.models.js";
+import { Playlist } from "../models/playlist.models.js";
+import { View } from "../models/view.models.js";
+import { Notification } from "../models/notification.models.js";
+import { WatchHistory } from "../models/watchHistory.models.js";
+import {
+    enqueueImageDeletion,
+    enqueueImageProcessing,
+    enqueueMediaDeletion,
+    enqueueVideoProcessing
+} from "../jobs/media.jobs.js";
+import { lookupOwner, lookupLikes } from "../utils/aggregations.js";
+import { getPagination } from "../utils/pagination.js";
+import { escapeRegex } from "../utils/regex.js";
+import { UploadSession } from "../models/uploadSession.models.js";
+import { assembleChunks, removeChunks, sha256, writeChunk } from "../utils/chunkedUploads.js";
+import { matchesUploadProfile, UPLOAD_PROFILES } from "../middlewares/multer.middleware.js";
+import {
+    DEFAULT_VIEW_DEDUP_WINDOW_MINUTES,
+    UPLOAD_CHUNK_SIZE_MB,
+    UPLOAD_SESSION_EXPIRY_HOURS
+} from "../constants.js";
+
+const SORTABLE_FIELDS = ["views", "createdAt", "duration"]
+
+// only the owner of a video can modify it
+// returns the video document so callers dont have to query again
+const findOwnedVideo = async (videoId, userId) => {
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "video not found")
+    }
+
+    if (!video.owner?.equals(userId)) {
+        throw new ApiError(403, "you are not allowed to modify this video")
+    }
+
+    return video
+}
+
+// keyed -> the hash of an ip cant be reversed by hashing every ipv4 address
+const hashIp = (ip) =>
+    crypto.createHmac("sha256", process.env.ACCESS_TOKEN_SECRET).update(`view:${ip}`).digest("hex")
+
+// count a view once per viewer (or ip for anonymous viewers), video and window
+// windows are fixed windows of VIEW_DEDUP_WINDOW_MINUTES
+// the upsert on the unique (video, viewer, ipHash, windowStart) key decides, parallel requests cant both count
+// returns true if the view was counted
+const recordView = async (videoId, req) => {
+    const windowMs =
+        (Number(process.env.VIEW_DEDUP_WINDOW_MINUTES) || DEFAULT_VIEW_DEDUP_WINDOW_MINUTES) * 60 * 1000
+    const windowStart = new Date(Math.floor(Date.now() / windowMs) * windowMs)
+    const viewer = req.user
+        ? { viewer: req.user._id }
+        : { viewer: null, ipHash: hashIp(req.ip) }
+
+    let result
+    try {
+        result = await View.updateOne(
+            { video: videoId, ...viewer, windowStart },
+            {},
+            { upsert: true }
+        )
+    } catch (error) {
+        // both upserts tried to insert, the other one won
+        if (error.code === 11000) return false
+        throw error
+    }
+
+    if (result.upsertedCount !== 1) return false
+
+    await Video.updateOne({ _id: videoId }, { $inc: { views: 1 } })
+
+    return true
+}
+
+const getAllVideos = asyncHandler(async (req, res) => {
+    // page, limit -> pagination
+    // query -> text match on title and description
+    // sortBy, sortType -> views, createdAt or duration
+    // userId -> only videos of one channel
+    const { query, sortBy = "createdAt", sortType = "desc", userId } = req.query
+    const { page, limit } = getPagination(req.query)
+
+    // ?query=a&query=b arrives as an array
+    if (query !== undefined && typeof query !== "string") {
+        throw new ApiError(400, "query must be a single string")
+    }
+
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+        throw new ApiError(400, `sortBy must be one of ${SORTABLE_FIELDS.join(", ")}`)
+    }
+
+    if (userId && !isValidObjectId(userId)) {
+        throw new ApiError(400, "invalid user id")
+    }
+
+    const match = {
+        // unpublished videos are only listed for their owner
+        $or: [
+            { isPublished: true },
+            { owner: new mongoose.Types.ObjectId(req.user?._id) }
+        ]
+    }
+
+    if (userId) {
+        match.owner = new mongoose.Types.ObjectId(userId)
+    }
+
+    if (query?.trim()) {
+        const regex = new RegExp(escapeRegex(query.trim()), "i")
+        match.$and = [
+            {
+                $or: [
+                    { title: regex },
+                    { description: regex }
+                ]
+            }
+        ]
+    }
+
+    const aggregate = Video.aggregate([
+        {
+            $match: match
+        },
+        {
+            $sort: {
+                [sortBy]: sortType === "asc" ? 1 : -1,
+                _id: 1 // tie breaker so pages dont overlap
+            }
+        },
+        ...lookupOwner(),
+        ...lookupLikes("video", req.user?._id)
+    ])
+
+    const videos = await Video.aggregatePaginate(aggregate, { page, limit })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, videos, "Videos fetched successfully")
+    )
+})
+
+// creates the video and hands both files to the video.process job
+// video is unpublished until the job is done, clients poll processingStatus
+// shared by the single request upload and the chunked one
+const createVideo = async ({ videoLocalPath, thumbnailLocalPath, title, description, owner }) => {
+    const video = await Video.create({
+        title: title.trim(),
+        description: description.trim(),
+        owner,
+        isPublished: false,
+        publishOnReady: true,
+        processingStatus: "queued"
+    })
+
+    try {
+        await enqueueVideoProcessing({ videoId: video._id, videoLocalPath, thumbnailLocalPath })
+    } catch (error) {
+        await Video.deleteOne({ _id: video._id })
+        throw error
+    }
+
+    return video
+}
+
+const publishAVideo = asyncHandler(async (req, res) => {
+    // get title and description from body
+    // files - videoFile and thumbnail from multer
+    // upload both to storage, duration comes from the video upload response (cloudinary only)
+    // create video with owner as logged in user
+
+    const { title, description } = req.body || {}
+
+    if ([title, description].some((field) => !field?.trim())) {
+        throw new ApiError(400, "title and description are required")
+    }
+
+    const videoLocalPath = req.files?.videoFile?.[0]?.path
+    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path
+
+    if (!videoLocalPath) {
+        throw new ApiError(400, "video file is required")
+    }
+
+    if (!thumbnailLocalPath) {
+        throw new ApiError(400, "thumbnail is required")
+    }
+
+    const video = await createVideo({
+        videoLocalPath,
+        thumbnailLocalPath,
+        title,
+        description,
+        owner: req.user?._id
+    })
+
+    return res
+    .status(201)
+    .json(
+        new ApiResponse(201, video, "Video uploaded successfully, processing has started")
+    )
+})
+
+const getVideoById = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "invalid video id")
+    }
+
+    const video = await Video.aggregate([
+        {
+            $match: {
+                _id: new mongoose.Types.ObjectId(videoId)
+            }
+        },
+        ...lookupOwner(),
+        ...lookupLikes("video", req.user?._id)
+    ])
+
+    // unpublished videos are only visible to their owner
+    if (
+        !video?.length ||
+        (!video[0].isPublished && !video[0].owner?._id?.equals(req.user?._id))
+    ) {
+        throw new ApiError(404, "video not found")
+    }
+
+    // fetching a video is playing it -> count the view and record history
+    if (video[0].isPublished) {
+        const counted = await recordView(video[0]._id, req)
+        if (counted) {
+            video[0].views += 1
+        }
+    }
+
+    // resumePosition -> where the viewer stopped last time (seconds)
+    video[0].resumePosition = 0
+
+    if (req.user && !req.user.isWatchHistoryPaused) {
+        const entry = await WatchHistory.record(req.user._id, video[0]._id)
+        video[0].resumePosition = entry.position
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, video[0], "Video fetched successfully")
+    )
+})
+
+const updateVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { title, description } = req.body || {}
+    const thumbnailLocalPath = req.file?.path
+
+    if (!(title?.trim() || description?.trim() || thumbnailLocalPath)) {
+        throw new ApiError(400, "title, description or thumbnail is required")
+    }
+
+    const video = await findOwnedVideo(videoId, req.user?._id)
+
+    if (title?.trim()) {
+        video.title = title.trim()
+    }
+
+    if (description?.trim()) {
+        video.description = description.trim()
+    }
+
+    // the first thumbnail is still being uploaded by video.process
+    if (thumbnailLocalPath && video.processingStatus !== "ready") {
+        throw new ApiError(409, `thumbnail cannot be replaced while the video processing is ${video.processingStatus}`)
+    }
+
+    await video.save()
+
+    // resized and uploaded by the image.process job, the old thumbnail stays until then
+    if (thumbnailLocalPath) {
+        await enqueueImageProcessing({
+            model: "Video",
+            documentId: video._id,
+            field: "thumbnail",
+            localFilePath: thumbnailLocalPath
+        })
+    }
+
+    const updatedVideo = await Video.findById(video._id)
+    const statusCode = thumbnailLocalPath ? 202 : 200
+
+    return res
+    .status(statusCode)
+    .json(
+        new ApiResponse(
+            statusCode,
+            updatedVideo,
+            thumbnailLocalPath ? "Video updated, thumbnail is being processed" : "Video updated successfully"
+        )
+    )
+})
+
+const deleteVideo = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await findOwnedVideo(videoId, req.user?._id)
+
+    // comments and likes of the video go with it
+    const commentIds = await Comment.find({ video: video._id }).distinct("_id")
+
+    await Video.findByIdAndDelete(video._id)
+    await Comment.deleteMany({ video: video._id })
+    await Like.deleteMany({
+        $or: [
+            { video: video._id },
+            { comment: { $in: commentIds } }
+        ]
+    })
+    await View.deleteMany({ video: video._id })
+    await WatchHistory.deleteMany({ video: video._id })
+    // comment, reply and comment like notifications carry the video too
+    await Notification.deleteMany({ video: video._id })
+    await Playlist.updateMany(
+        { videos: video._id },
+        { $pull: { videos: video._id } }
+    )
+
+    // remove stored assets
+    await enqueueMediaDeletion(video.videoFile, "video")
+    await enqueueImageDeletion(video.thumbnail, video.thumbnailVariants)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Video deleted successfully")
+    )
+})
+
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+    // cheap to poll after an upload, getVideoById would count views and history
+    const { videoId } = req.params
+
+    const video = await findOwnedVideo(videoId, req.user?._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            {
+                processingStatus: video.processingStatus,
+                processingError: video.processingError,
+                thumbnailProcessing: video.thumbnailProcessing,
+                isPublished: video.isPublished,
+                moderationLocked: video.moderationLocked
+            },
+            "Processing status fetched successfully"
+        )
+    )
+})
+
+const togglePublishStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await findOwnedVideo(videoId, req.user?._id)
+
+    // unpublished by a moderator -> only an admin can publish it again
+    const isAdmin = req.user.role === "admin"
+    const unlocked = isAdmin ? {} : { moderationLocked: { $ne: true } }
+
+    if (video.moderationLocked && !isAdmin) {
+        throw new ApiError(403, "video was unpublished by a moderator and cannot be published again")
+    }
+
+    if (video.processingStatus === "failed") {
+        throw new ApiError(409, "video cannot be published, its processing failed")
+    }
+
+    // not playable yet -> toggles whether it is published once processing is done
+    if (video.processingStatus !== "ready") {
+        const updated = await Video.findOneAndUpdate(
+            { _id: video._id, processingStatus: { $in: ["queued", "processing"] }, ...unlocked },
+            [{ $set: { publishOnReady: { $eq: ["$publishOnReady", false] } } }],
+            { new: true }
+        ).select("publishOnReady")
+
+        // processing finished or the video was locked in between
+        if (!updated) {
+            throw new ApiError(409, "video processing status changed, try again")
+        }
+
+        return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { isPublished: false, publishOnReady: updated.publishOnReady },
+                updated.publishOnReady
+                    ? "Video will be published once processing is done"
+                    : "Video will stay unpublished after processing"
+            )
+        )
+    }
+
+    // only flips the value that was read -> a lock or another toggle in between is not overwritten
+    const updated = await Video.findOneAndUpdate(
+        { _id: video._id, isPublished: video.isPublished, ...unlocked },
+        { $set: { isPublished: !video.isPublished } },
+        { new: true }
+    ).select("isPublished")
+
+    if (!updated) {
+        throw new ApiError(409, "video publish status changed, try again")
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            { isPublished: updated.isPublished },
+            "Video publish status toggled successfully"
+        )
+    )
+})
+
+// only the owner of an upload session can send chunks to it or complete it
+const findOwnedUploadSession = async (uploadId, userId) => {
+    if (!isValidObjectId(uploadId)) {
+        throw new ApiError(400, "invalid upload id")
+    }
+
+    const session = await UploadSession.findOne({
+        _id: uploadId,
+        expiresAt: { $gt: new Date() }
+    })
+
+    if (!session || !session.owner.equals(userId)) {
+        throw new ApiError(404, "upload not found or expired")
+    }
+
+    return session
+}
+
+const getUploadExpiry = () => new Date(Date.now() + UPLOAD_SESSION_EXPIRY_HOURS * 60 * 60 * 1000)
+
+const getMissingChunks = (session) => {
+    const received = new Set(session.receivedChunks)
+    return Array.from({ length: session.totalChunks }, (_, index) => index)
+    .filter((index) => !received.has(index))
+}
+
+const formatUploadSession = (session) => ({
+    uploadId: session._id,
+    fileName: session.fileName,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: [...session.receivedChunks].sort((a, b) => a - b),
+    missingChunks: getMissingChunks(session),
+    status: session.status,
+    expiresAt: session.expiresAt
+})
+
+const initiateVideoUpload = asyncHandler(async (req, res) => {
+    // body -> { fileName, mimeType, size, checksum? }
+    // client then PUTs every chunk and completes the upload with the thumbnail, title and description
+    const { fileName, mimeType, checksum } = req.body || {}
+    const size = Number(req.body?.size)
+    const { mimeTypes, maxSize } = UPLOAD_PROFILES.video
+
+    if (!fileName?.trim()) {
+        throw new ApiError(400, "fileName is required")
+    }
+
+    if (!mimeTypes.includes(mimeType)) {
+        throw new ApiError(415, `mimeType must be one of ${mimeTypes.join(", ")}`)
+    }
+
+    if (!Number.isInteger(size) || size < 1 || size > maxSize) {
+        throw new ApiError(413, `size must be between 1 and ${maxSize} bytes`)
+    }
+
+    if (checksum !== undefined && !/^[a-f0-9]{64}$/i.test(checksum)) {
+        throw new ApiError(400, "checksum must be a sha256 hex digest")
+    }
+
+    const chunkSize = UPLOAD_CHUNK_SIZE_MB * 1024 * 1024
+
+    const session = await UploadSession.create({
+        owner: req.user?._id,
+        fileName: fileName.trim(),
+        mimeType,
+        size,
+        chunkSize,
+        totalChunks: Math.ceil(size / chunkSize),
+        checksum: checksum?.toLowerCase(),
+        expiresAt: getUploadExpiry()
+    })
+
+    return res
+    .status(201)
+    .json(
+        new ApiResponse(201, formatUploadSession(session), "Upload started successfully")
+    )
+})
+
+const uploadVideoChunk = asyncHandler(async (req, res) => {
+    // raw chunk in the body, X-Chunk-Checksum -> sha256 (hex) of the chunk
+    const { uploadId } = req.params
+    const index = Number(req.params.index)
+    const checksum = req.header("X-Chunk-Checksum")?.toLowerCase()
+
+    const session = await findOwnedUploadSession(uploadId, req.user?._id)
+
+    if (session.status !== "uploading") {
+        throw new ApiError(409, "upload is already being completed")
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+        throw new ApiError(400, `index must be an integer between 0 and ${session.totalChunks - 1}`)
+    }
+
+    if (!Buffer.isBuffer(req.body)) {
+        throw new ApiError(415, "chunk must be sent as application/octet-stream")
+    }
+
+    // every chunk is chunkSize, the last one gets the rest
+    const isLastChunk = index === session.totalChunks - 1
+    const expectedSize = isLastChunk
+        ? session.size - session.chunkSize * (session.totalChunks - 1)
+        : session.chunkSize
+
+    if (req.body.length !== expectedSize) {
+        throw new ApiError(400, `chunk ${index} must be ${expectedSize} bytes`)
+    }
+
+    if (!checksum) {
+        throw new ApiError(400, "X-Chunk-Checksum header is required")
+    }
+
+    if (sha256(req.body) !== checksum) {
+        throw new ApiError(422, "chunk checksum does not match, send the chunk again")
+    }
+
+    await writeChunk(session._id, index, req.body)
+
+    const updatedSession = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "uploading" },
+        {
+            $addToSet: { receivedChunks: index },
+            $set: { expiresAt: getUploadExpiry() }
+        },
+        { new: true }
+    )
+
+    if (!updatedSession) {
+        throw new ApiError(409, "upload is already being completed")
+    }
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, formatUploadSession(updatedSession), "Chunk uploaded successfully")
+    )
+})
+
+const getVideoUploadStatus = asyncHandler(async (req, res) => {
+    // missingChunks -> what to send again after a dropped connection
+    const session = await findOwnedUploadSession(req.params.uploadId, req.user?._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, formatUploadSession(session), "Upload status fetched successfully")
+    )
+})
+
+const completeVideoUpload = asyncHandler(async (req, res) => {
+    // multipart -> thumbnail file + title and description, same as publishAVideo
+    const { uploadId } = req.params
+    const { title, description } = req.body || {}
+    const thumbnailLocalPath = req.file?.path
+
+    if ([title, description].some((field) => !field?.trim())) {
+        throw new ApiError(400, "title and description are required")
+    }
+
+    if (!thumbnailLocalPath) {
+        throw new ApiError(400, "thumbnail is required")
+    }
+
+    const session = await findOwnedUploadSession(uploadId, req.user?._id)
+
+    const missingChunks = getMissingChunks(session)
+    if (missingChunks.length) {
+        throw new ApiError(409, "upload is not complete", [
+            { field: "chunks", location: "body", message: `missing chunks ${missingChunks.join(", ")}` }
+        ])
+    }
+
+    // only one request can complete the upload
+    const locked = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "uploading" },
+        { $set: { status: "assembling" } }
+    )
+
+    if (!locked) {
+        throw new ApiError(409, "upload is already being completed")
+    }
+
+    let video
+    let file
+    try {
+        file = await assembleChunks(session)
+
+        if (file.size !== session.size || (session.checksum && file.checksum !== session.checksum)) {
+            throw new ApiError(422, "assembled file does not match the size or checksum of the upload")
+        }
+
+        if (!(await matchesUploadProfile(file.path, "video"))) {
+            throw new ApiError(415, "videoFile is not a valid video file")
+        }
+
+        // the job takes over the assembled file
+        video = await createVideo({
+            videoLocalPath: file.path,
+            thumbnailLocalPath,
+            title,
+            description,
+            owner: req.user?._id
+        })
+    } catch (error) {
+        if (file) await fs.promises.rm(file.path, { force: true })
+        // chunks are still there, the client can try again
+        await UploadSession.updateOne({ _id: session._id }, { $set: { status: "uploading" } })
+        throw error
+    }
+
+    await UploadSession.deleteOne({ _id: session._id })
+    await removeChunks(session._id)
+
+    return res
+    .status(201)
+    .json(
+        new ApiResponse(201, video, "Video uploaded successfully, processing has started")
+    )
+})
+
+const cancelVideoUpload = asyncHandler(async (req, res) => {
+    const session = await findOwnedUploadSession(req.params.uploadId, req.user?._id)
+
+    const deleted = await UploadSession.findOneAndDelete({ _id: session._id, status: "uploading" })
+
+    if (!deleted) {
+        throw new ApiError(409, "upload is already being completed")
+    }
+
+    await removeChunks(session._id)
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(200, {}, "Upload cancelled successfully")
+    )
+})
+
+export {
+    getAllVideos,
+    publishAVideo,
+    getVideoById,
+    updateVideo,
+    deleteVideo,
+    togglePublishStatus,
+    getVideoProcessingStatus,
+    initiateVideoUpload,
+    uploadVideoChunk,
+    getVideoUploadStatus,
+    completeVideoUpload,
+    cancelVideoUpload
+}
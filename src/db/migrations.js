@@ -0,0 +1,24 @@
+import { User } from "../models/user.models.js";
+
+// data fixes for documents written before a feature existed
+// every step only touches documents it has not handled yet -> safe to run on every start
+
+// accounts from before email verification never got a verification mail
+// new accounts always store isEmailVerified, so a missing field means an old account
+// they are trusted like before instead of losing uploads, comments... until they verify
+const grandfatherEmailVerification = async () => {
+    const { modifiedCount } = await User.updateMany(
+        { isEmailVerified: { $exists: false } },
+        { $set: { isEmailVerified: true } }
+    )
+
+    if (modifiedCount) {
+        console.log(`marked ${modifiedCount} existing accounts as email verified`)
+    }
+}
+
+const runMigrations = async () => {
+    await grandfatherEmailVerification()
+}
+
+export default runMigrations;
@@ -7,6 +7,12 @@ dotenv.config({
 // import { DB_NAME } from "./constants";
 import { app } from "./app.js"
 import connectDB from "./db/index.js";
+import runMigrations from "./db/migrations.js";
+import { startUploadSweeper } from "./utils/chunkedUploads.js";
+import { startJobWorker } from "./utils/jobQueue.js";
+import { checkMailTransport } from "./utils/mailer.js";
+// registers the media job handlers
+import "./jobs/media.jobs.js";
 
 
 
@@ -29,8 +35,16 @@ import connectDB from "./db/index.js";
 })()
 */
 
+// production without a real mail transport -> dont start at all
+checkMailTransport()
+
 connectDB()
+.then(runMigrations)
 .then(() => {
+    // chunks of abandoned resumable uploads
+    startUploadSweeper()
+    startJobWorker()
+
     app.listen( process.env.PORT ||8000 ,() => {
         console.log(`Server is running on port ${process.env.PORT}`)
     } )
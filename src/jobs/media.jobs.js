@@ -0,0 +1,251 @@
+// media work that should not block a request
+//      video.process -> uploads the video and the thumbnail, then marks the video ready and publishes it unless it was unpublished meanwhile
+//      image.process -> resizes and uploads a new avatar, cover image or thumbnail, replaces the old one
+//      media.delete  -> removes files from storage (replaced avatars, deleted videos...)
+// local files a job needs are moved to public/temp/jobs, the upload middleware would remove them otherwise
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { Video } from '../models/video.models.js'
+import { User } from '../models/user.models.js'
+import { enqueueJob, registerJobHandler } from '../utils/jobQueue.js'
+import { getStorageProvider, uploadFile } from '../utils/storage.js'
+import { getImageUrls, uploadImage } from '../utils/images.js'
+import { notifySubscribers } from '../utils/notifications.js'
+
+const JOB_FILES_DIR = "./public/temp/jobs"
+
+const keepForJob = async (localFilePath) => {
+    await fs.promises.mkdir(JOB_FILES_DIR, { recursive: true })
+
+    const jobFilePath = path.join(
+        JOB_FILES_DIR,
+        `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`
+    )
+    await fs.promises.rename(localFilePath, jobFilePath)
+    return jobFilePath
+}
+
+const removeJobFiles = (...filePaths) =>
+    Promise.all(filePaths.filter(Boolean).map((filePath) => fs.promises.rm(filePath, { force: true })))
+
+const enqueueMediaDeletion = async (urls, resourceType = "image") => {
+    const files = [].concat(urls).filter(Boolean)
+    if (!files.length) return null
+
+    return enqueueJob("media.delete", { urls: files, resourceType })
+}
+
+const enqueueImageDeletion = (url, variants) => enqueueMediaDeletion(getImageUrls(url, variants))
+
+// files already moved are removed again if the job cant be queued, nothing else would clean them up
+const enqueueVideoProcessing = async ({ videoId, videoLocalPath, thumbnailLocalPath }) => {
+    const payload = { videoId: String(videoId) }
+
+    try {
+        payload.videoPath = await keepForJob(videoLocalPath)
+        payload.thumbnailPath = await keepForJob(thumbnailLocalPath)
+
+        return await enqueueJob("video.process", payload)
+    } catch (error) {
+        await removeJobFiles(payload.videoPath, payload.thumbnailPath)
+        throw error
+    }
+}
+
+// documents that own images, field is also the name of the image preset
+const IMAGE_OWNERS = {
+    User: { model: User, fields: ["avatar", "coverImage"] },
+    Video: { model: Video, fields: ["thumbnail"] }
+}
+
+// model -> "User" or "Video", progress is shown in <field>Processing of the document
+const enqueueImageProcessing = async ({ model, documentId, field, localFilePath }) => {
+    if (!IMAGE_OWNERS[model]?.fields.includes(field)) {
+        throw new Error(`${model} has no image field ${field}`)
+    }
+
+    const uploadId = crypto.randomUUID()
+    const imagePath = await keepForJob(localFilePath)
+    const Model = IMAGE_OWNERS[model].model
+
+    try {
+        await Model.updateOne(
+            { _id: documentId },
+            { $set: { [`${field}Processing`]: { status: "queued", uploadId } } }
+        )
+
+        return await enqueueJob("image.process", {
+            model,
+            documentId: String(documentId),
+            field,
+            imagePath,
+            uploadId
+        })
+    } catch (error) {
+        await removeJobFiles(imagePath)
+        await Model.updateOne(
+            { _id: documentId, [`${field}Processing.uploadId`]: uploadId },
+            { $set: { [`${field}Processing.status`]: "failed", [`${field}Processing.error`]: "could not be queued" } }
+        ).catch(() => {})
+        throw error
+    }
+}
+
+// the job only applies its image while its upload is still the current one
+// deleted document or newer upload -> nothing to replace, the result is dropped
+const processImageUpload = async ({ model, documentId, field, imagePath, uploadId }) => {
+    const Model = IMAGE_OWNERS[model].model
+    const current = { _id: documentId, [`${field}Processing.uploadId`]: uploadId }
+
+    const { matchedCount } = await Model.updateOne(
+        current,
+        { $set: { [`${field}Processing.status`]: "processing" } }
+    )
+
+    if (!matchedCount) {
+        await removeJobFiles(imagePath)
+        return
+    }
+
+    const image = await uploadImage(imagePath, field)
+    if (!image) {
+        throw new Error(`${field} processing failed`)
+    }
+
+    // old image is needed to remove it once the new one is saved
+    const previous = await Model.findOneAndUpdate(
+        current,
+        {
+            $set: {
+                [field]: image.url,
+                [`${field}Variants`]: image.variants,
+                [`${field}Processing.status`]: "ready"
+            },
+            $unset: {
+                [`${field}Processing.uploadId`]: 1,
+                [`${field}Processing.error`]: 1
+            }
+        }
+    ).select(`${field} ${field}Variants`)
+
+    if (previous) {
+        await enqueueImageDeletion(previous[field], previous[`${field}Variants`])
+    } else {
+        await enqueueImageDeletion(image.url, image.variants)
+    }
+
+    await removeJobFiles(imagePath)
+}
+
+// every finished step is saved on the video -> a retry only redoes what failed
+const processVideo = async ({ videoId, videoPath, thumbnailPath }) => {
+    const video = await Video.findById(videoId)
+
+    // deleted while it was waiting
+    if (!video) {
+        await removeJobFiles(videoPath, thumbnailPath)
+        return
+    }
+
+    await Video.updateOne({ _id: video._id }, { $set: { processingStatus: "processing" } })
+
+    const update = {}
+
+    if (!video.videoFile) {
+        const videoFile = await uploadFile(videoPath, "video", { keepLocalFile: true })
+        if (!videoFile) {
+            throw new Error("video upload failed")
+        }
+
+        update.videoFile = videoFile.url
+        // only cloudinary reports the duration
+        update.duration = videoFile.duration || 0
+        await saveProcessingStep(video._id, update, [{ url: videoFile.url, resourceType: "video" }])
+    }
+
+    if (!video.thumbnail) {
+        const thumbnail = await uploadImage(thumbnailPath, "thumbnail")
+        if (!thumbnail) {
+            throw new Error("thumbnail processing failed")
+        }
+
+        await saveProcessingStep(
+            video._id,
+            { thumbnail: thumbnail.url, thumbnailVariants: thumbnail.variants },
+            getImageUrls(thumbnail.url, thumbnail.variants).map((url) => ({ url, resourceType: "image" }))
+        )
+    }
+
+    // videos stay unpublished until they can be played
+    // read in the same update -> an unpublish that comes in during processing is kept
+    await Video.updateOne(
+        { _id: video._id },
+        [
+            {
+                $set: {
+                    processingStatus: "ready",
+                    isPublished: { $or: ["$isPublished", { $ne: ["$publishOnReady", false] }] }
+                }
+            },
+            { $unset: ["processingError", "publishOnReady"] }
+        ]
+    )
+
+    await removeJobFiles(videoPath, thumbnailPath)
+
+    // subscribers hear about it once it can be watched
+    await notifySubscribers({ channel: video.owner, type: "upload", video: video._id })
+}
+
+// files uploaded for a video that was deleted in the meantime are removed again
+const saveProcessingStep = async (videoId, update, uploadedFiles) => {
+    const { matchedCount } = await Video.updateOne({ _id: videoId }, { $set: update })
+
+    if (!matchedCount) {
+        for (const { url, resourceType } of uploadedFiles) {
+            await enqueueMediaDeletion(url, resourceType)
+        }
+        throw new Error("video was deleted while it was processed")
+    }
+}
+
+registerJobHandler("video.process", processVideo, {
+    onDead: async ({ videoId, videoPath, thumbnailPath }, job) => {
+        await Video.updateOne(
+            { _id: videoId },
+            { $set: { processingStatus: "failed", processingError: job.lastError } }
+        )
+        await removeJobFiles(videoPath, thumbnailPath)
+    }
+})
+
+registerJobHandler("image.process", processImageUpload, {
+    onDead: async ({ model, documentId, field, imagePath, uploadId }, job) => {
+        await IMAGE_OWNERS[model].model.updateOne(
+            { _id: documentId, [`${field}Processing.uploadId`]: uploadId },
+            {
+                $set: {
+                    [`${field}Processing.status`]: "failed",
+                    [`${field}Processing.error`]: job.lastError
+                }
+            }
+        )
+        await removeJobFiles(imagePath)
+    }
+})
+
+// throws on the first file that fails -> the job is retried, deleting twice is harmless
+registerJobHandler("media.delete", async ({ urls, resourceType }) => {
+    for (const url of urls) {
+        await getStorageProvider().delete(url, resourceType)
+    }
+})
+
+export {
+    enqueueVideoProcessing,
+    enqueueImageProcessing,
+    enqueueMediaDeletion,
+    enqueueImageDeletion
+}
@@ -8,6 +8,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from 'jsonwebtoken'
 import { User } from '../models/user.models.js'
+import { Session } from '../models/session.models.js'
 
 export const verifyJWT = asyncHandler( async (req, _ , next) => {
     try {
@@ -19,6 +20,11 @@ export const verifyJWT = asyncHandler( async (req, _ , next) => {
         }
     
         const decodeToken = await jwt.verify(token,process.env.ACCESS_TOKEN_SECRET)
+
+        // 2fa login challenges are signed with the same secret but are not access tokens
+        if(decodeToken.purpose){
+            throw new ApiError(401,"Invalid Access Token")
+        }
     
         const user = await User.findById(decodeToken._id)
         .select("-password -refreshToken")
@@ -26,10 +32,56 @@ export const verifyJWT = asyncHandler( async (req, _ , next) => {
         if(!user){
             throw new ApiError(401,"Invalid Access Token")
         }
+
+        const restriction = user.getAccessRestriction()
+        if(restriction){
+            throw new ApiError(403,restriction)
+        }
+
+        // tokens from before sessions have no sid -> they could never be revoked, refresh or login again
+        if(!decodeToken.sid){
+            throw new ApiError(401,"Access token is not bound to a session")
+        }
+
+        // device was logged out or revoked from another device
+        if(!(await Session.exists({ _id: decodeToken.sid }))){
+            throw new ApiError(401,"Session has expired or was revoked")
+        }
     
         req.user = user
+        req.sessionId = decodeToken.sid
+        // long lived responses (notification stream) stop when the token does
+        req.accessTokenExpiresAt = decodeToken.exp ? decodeToken.exp * 1000 : null
         next()
     } catch (error) {
+        // keep 403 for banned / suspended accounts, everything else is 401
+        if(error instanceof ApiError && error.statusCode === 403) throw error
         throw new ApiError(401,error?.message || "Invalid Access Token")
     }
-})
\ No newline at end of file
+})
+
+// routes anonymous users can use too -> req.user is only set when a token is sent
+// a token that is sent is checked like verifyJWT does, a bad one is still rejected
+export const optionalJWT = (req, res, next) => {
+    const token = req.cookies?.accessToken || req.header("Authorization")
+    if(!token){
+        return next()
+    }
+    return verifyJWT(req, res, next)
+}
+
+// use after verifyJWT on routes that need a confirmed email
+export const requireVerifiedEmail = (req, _, next) => {
+    if(!req.user?.isEmailVerified){
+        throw new ApiError(403,"Please verify your email address to continue")
+    }
+    next()
+}
+
+// use after verifyJWT -> authorize("admin") or authorize("moderator", "admin")
+export const authorize = (...roles) => (req, _, next) => {
+    if(!roles.includes(req.user?.role)){
+        throw new ApiError(403,"You are not allowed to perform this action")
+    }
+    next()
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+// registered last in app.js
+// every error ends up here and goes out in the same shape as ApiResponse
+// { statusCode, data: null, message, success: false, errors }
+
+import mongoose from "mongoose";
+import multer from "multer";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utils/ApiError.js";
+
+// turn known library errors into an ApiError with a proper status code
+const toApiError = (err) => {
+    if (err instanceof ApiError) {
+        return err
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(err.errors).map((error) => ({
+            field: error.path,
+            location: "body",
+            message: error.message
+        }))
+        return new ApiError(422, "Validation failed", errors, err.stack)
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new ApiError(400, `invalid ${err.path}: ${err.value}`, [], err.stack)
+    }
+
+    // duplicate key from a unique index
+    if (err?.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {})
+        const errors = fields.map((field) => ({
+            field,
+            location: "body",
+            message: `${field} already exists`
+        }))
+        return new ApiError(409, `${fields.join(", ") || "resource"} already exists`, errors, err.stack)
+    }
+
+    // TokenExpiredError extends JsonWebTokenError so check it first
+    if (err instanceof jwt.TokenExpiredError) {
+        return new ApiError(401, "token has expired", [], err.stack)
+    }
+
+    if (err instanceof jwt.JsonWebTokenError) {
+        return new ApiError(401, "invalid token", [], err.stack)
+    }
+
+    if (err instanceof multer.MulterError) {
+        const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400
+        const errors = err.field ? [{ field: err.field, location: "body", message: err.message }] : []
+        return new ApiError(statusCode, err.message, errors, err.stack)
+    }
+
+    // body-parser and other http errors carry their own status
+    const statusCode = err?.statusCode || err?.status
+    if (statusCode >= 400 && statusCode < 500) {
+        return new ApiError(statusCode, err.message, [], err.stack)
+    }
+
+    // unexpected error, its message can leak internals so only show it in development
+    const message = process.env.NODE_ENV === "development" && err?.message
+        ? err.message
+        : "Internal Server Error"
+    return new ApiError(500, message, [], err?.stack)
+}
+
+const notFound = (req, _, next) => {
+    next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`))
+}
+
+// express knows it is an error handler because it takes 4 arguments
+const errorHandler = (err, req, res, next) => {
+    // response already started (e.g. an event stream) -> express closes the connection
+    if (res.headersSent) {
+        return next(err)
+    }
+
+    const error = toApiError(err)
+    const isDevelopment = process.env.NODE_ENV === "development"
+
+    if (error.statusCode >= 500) {
+        console.log("Unhandled error ", err)
+    }
+
+    return res
+    .status(error.statusCode)
+    .json({
+        statusCode: error.statusCode,
+        data: error.data,
+        message: error.message,
+        success: false,
+        errors: error.errors,
+        ...(isDevelopment && { stack: error.stack })
+    })
+}
+
+export { notFound, errorHandler }
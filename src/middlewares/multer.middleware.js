@@ -1,14 +1,162 @@
+// every file field belongs to an upload profile (allowed types + size cap)
+// upload.single / upload.fields return a middleware chain:
+//      cleanup -> temp files are removed once the response is sent, whatever happened
+//      multer  -> saves into ./public/temp under a unique name, rejects wrong mime types early
+//      check   -> reads the first bytes of every file, the mime type sent by the client can lie
+
 import multer from 'multer'
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { ApiError } from '../utils/ApiError.js'
+import { asyncHandler } from '../utils/asyncHandler.js'
+import { MAX_IMAGE_UPLOAD_SIZE_MB, MAX_VIDEO_UPLOAD_SIZE_MB } from '../constants.js'
+
+const MB = 1024 * 1024
+
+// magic bytes at offset -> type
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, i) => buffer[offset + i] === byte)
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0))
+
+const UPLOAD_PROFILES = {
+    image: {
+        maxSize: MAX_IMAGE_UPLOAD_SIZE_MB * MB,
+        mimeTypes: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+        sniff: (buffer) =>
+            startsWith(buffer, [0xff, 0xd8, 0xff]) ||
+            startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) ||
+            startsWith(buffer, ascii("GIF87a")) ||
+            startsWith(buffer, ascii("GIF89a")) ||
+            (startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WEBP"), 8))
+    },
+    video: {
+        maxSize: MAX_VIDEO_UPLOAD_SIZE_MB * MB,
+        mimeTypes: ["video/mp4", "video/quicktime", "video/webm", "video/x-matroska", "video/ogg"],
+        sniff: (buffer) =>
+            startsWith(buffer, ascii("ftyp"), 4) || // mp4, mov
+            startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) || // webm, mkv
+            startsWith(buffer, ascii("OggS"))
+    }
+}
+
+const FIELD_PROFILES = {
+    avatar: "image",
+    coverImage: "image",
+    thumbnail: "image",
+    videoFile: "video"
+}
+
+const getProfile = (fieldName) => UPLOAD_PROFILES[FIELD_PROFILES[fieldName]]
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, './public/temp')
   },
   filename: function (req, file, cb) {
-    // can add unique suffix
-    cb(null,file.originalname)
+    // never trust the original name -> parallel uploads of "avatar.png" would overwrite each other
+    const extension = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, "")
+    cb(null, `${Date.now()}-${crypto.randomUUID()}${extension}`)
   }
 })
 
-export const upload = multer({ storage: storage })
+const fileFilter = (req, file, cb) => {
+    const profile = getProfile(file.fieldname)
+
+    if (!profile) {
+        return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname))
+    }
+
+    if (!profile.mimeTypes.includes(file.mimetype)) {
+        return cb(new ApiError(
+            415,
+            `${file.fieldname} must be one of ${profile.mimeTypes.join(", ")}`,
+            [{ field: file.fieldname, location: "body", message: "unsupported file type" }]
+        ))
+    }
+
+    cb(null, true)
+}
+
+// multer only takes one size limit, the biggest of the fields -> smaller caps are checked after
+const createMulter = (fieldNames) => multer({
+    storage,
+    fileFilter,
+    limits: {
+        fileSize: Math.max(...fieldNames.map((name) => getProfile(name)?.maxSize || 0))
+    }
+})
+
+const getUploadedFiles = (req) => [
+    ...(req.file ? [req.file] : []),
+    ...Object.values(req.files || {}).flat()
+]
+
+// registered before multer so files of failed requests are removed too
+const cleanupTempFiles = (req, res, next) => {
+    const cleanup = () => {
+        for (const file of getUploadedFiles(req)) {
+            fs.promises.rm(file.path, { force: true }).catch(() => {})
+        }
+    }
+
+    res.on("finish", cleanup)
+    res.on("close", cleanup)
+    next()
+}
+
+const readFileHead = async (filePath, length = 16) => {
+    const handle = await fs.promises.open(filePath, "r")
+    try {
+        const buffer = Buffer.alloc(length)
+        const { bytesRead } = await handle.read(buffer, 0, length, 0)
+        return buffer.subarray(0, bytesRead)
+    } finally {
+        await handle.close()
+    }
+}
+
+const checkUploadedFiles = asyncHandler(async (req, _, next) => {
+    for (const file of getUploadedFiles(req)) {
+        const profile = getProfile(file.fieldname)
+
+        if (file.size > profile.maxSize) {
+            throw new ApiError(
+                413,
+                `${file.fieldname} must be at most ${profile.maxSize / MB} MB`,
+                [{ field: file.fieldname, location: "body", message: "file too large" }]
+            )
+        }
+
+        if (!profile.sniff(await readFileHead(file.path))) {
+            throw new ApiError(
+                415,
+                `${file.fieldname} is not a valid ${FIELD_PROFILES[file.fieldname]} file`,
+                [{ field: file.fieldname, location: "body", message: "file content does not match its type" }]
+            )
+        }
+    }
+
+    next()
+})
+
+export const upload = {
+    single: (fieldName) => [
+        cleanupTempFiles,
+        createMulter([fieldName]).single(fieldName),
+        checkUploadedFiles
+    ],
+    fields: (fields) => [
+        cleanupTempFiles,
+        createMulter(fields.map(({ name }) => name)).fields(fields),
+        checkUploadedFiles
+    ]
+}
+
+// same checks for files that did not come through multer (assembled chunked uploads)
+export const matchesUploadProfile = async (filePath, profileName) =>
+    UPLOAD_PROFILES[profileName].sniff(await readFileHead(filePath))
 
+export { UPLOAD_PROFILES }
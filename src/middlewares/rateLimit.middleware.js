@@ -0,0 +1,39 @@
+// limit how often a client can hit a route
+// rateLimit({ name, windowMs, max }) -> at most `max` requests per `windowMs` per key
+// key is the ip by default, pass keyGenerator to limit per user etc
+// over the limit -> 429 with Retry-After
+
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getRateLimitStore } from "../utils/rateLimitStore.js";
+
+const rateLimit = ({
+    name, // keeps counters of different limiters apart
+    windowMs,
+    max,
+    keyGenerator = (req) => req.ip,
+    message = "Too many requests, please try again later",
+    store
+}) => asyncHandler(async (req, res, next) => {
+    const limiterStore = store || getRateLimitStore()
+    const { count, resetAt } = await limiterStore.increment(
+        `rate:${name}:${keyGenerator(req)}`,
+        windowMs
+    )
+
+    res.set("RateLimit-Limit", String(max))
+    res.set("RateLimit-Remaining", String(Math.max(max - count, 0)))
+    res.set("RateLimit-Reset", String(Math.ceil((resetAt - Date.now()) / 1000)))
+
+    if (count > max) {
+        res.set("Retry-After", String(Math.ceil((resetAt - Date.now()) / 1000)))
+        throw new ApiError(429, message)
+    }
+
+    next()
+})
+
+// by logged in user, use after verifyJWT
+const byUser = (req) => req.user?._id?.toString() || req.ip
+
+export { rateLimit, byUser }
@@ -0,0 +1,110 @@
+// declarative request validation
+// schema -> { body: {...}, params: {...}, query: {...}, refine: [...] }
+// every location maps field names to rules:
+//      required  -> must be present and not empty
+//      type      -> "string" | "number" | "boolean" | "objectId"
+//      trim      -> trim strings (written back to req.body)
+//      minLength / maxLength -> for strings
+//      min / max / integer -> for numbers
+//      pattern   -> RegExp the string must match
+//      oneOf     -> list of allowed values
+//      message   -> error message used when pattern fails
+//      custom    -> (value, req) => error message or null
+// refine -> (req) => null | { field, location, message } for checks across fields
+// all errors are collected and sent as one 422 with per field messages
+
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+
+const LOCATIONS = ["params", "query", "body"]
+
+const isEmpty = (value) =>
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "")
+
+// returns { value } with the (possibly converted) value, or { error } with the message
+const checkField = (name, value, rule, req) => {
+    if (isEmpty(value)) {
+        return rule.required ? { error: `${name} is required` } : { value: undefined }
+    }
+
+    switch (rule.type) {
+        case "string":
+            if (typeof value !== "string") return { error: `${name} must be a string` }
+            if (rule.trim) value = value.trim()
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return { error: `${name} must be at least ${rule.minLength} characters` }
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { error: `${name} must be at most ${rule.maxLength} characters` }
+            }
+            break
+        case "number":
+            // query and multipart values are always strings
+            value = Number(value)
+            if (!Number.isFinite(value)) return { error: `${name} must be a number` }
+            if (rule.integer && !Number.isInteger(value)) return { error: `${name} must be an integer` }
+            if (rule.min !== undefined && value < rule.min) return { error: `${name} must be at least ${rule.min}` }
+            if (rule.max !== undefined && value > rule.max) return { error: `${name} must be at most ${rule.max}` }
+            break
+        case "boolean":
+            if (value === "true" || value === "false") value = value === "true"
+            if (typeof value !== "boolean") return { error: `${name} must be true or false` }
+            break
+        case "objectId":
+            if (!isValidObjectId(value)) return { error: `${name} must be a valid id` }
+            break
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return { error: rule.message || `${name} is invalid` }
+    }
+
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return { error: `${name} must be one of ${rule.oneOf.join(", ")}` }
+    }
+
+    const customError = rule.custom?.(value, req)
+    if (customError) return { error: customError }
+
+    return { value }
+}
+
+const validate = (schema) => (req, _, next) => {
+    const errors = []
+
+    for (const location of LOCATIONS) {
+        const rules = schema[location]
+        if (!rules) continue
+
+        const values = req[location] || {}
+
+        for (const [name, rule] of Object.entries(rules)) {
+            const { value, error } = checkField(name, values[name], rule, req)
+
+            if (error) {
+                errors.push({ field: name, location, message: error })
+                continue
+            }
+
+            // only body is writable (req.query is a getter in express 5)
+            if (location === "body" && value !== undefined && req.body) {
+                req.body[name] = value
+            }
+        }
+    }
+
+    for (const refine of schema.refine || []) {
+        const error = refine(req)
+        if (error) errors.push(error)
+    }
+
+    if (errors.length) {
+        throw new ApiError(422, "Validation failed", errors)
+    }
+
+    next()
+}
+
+export { validate }
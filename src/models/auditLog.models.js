@@ -0,0 +1,55 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// every moderation action, who did what to which document and why
+const auditLogSchema = new Schema({
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    action: {
+        type: String, // e.g. user.ban, video.unpublish
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ["User", "Video", "Comment", "Tweet", "Job"],
+        required: true
+    },
+    targetId: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    reason: {
+        type: String,
+        default: ""
+    },
+    // anything useful to understand the action later (previous values, copy of deleted content)
+    metadata: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    ip: {
+        type: String
+    }
+}, {timestamps: true})
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 })
+
+auditLogSchema.statics.record = function(req, { action, targetType, targetId, reason, metadata }) {
+    return this.create({
+        actor: req.user._id,
+        action,
+        targetType,
+        targetId,
+        reason,
+        metadata,
+        ip: req.ip
+    })
+}
+
+auditLogSchema.plugin(mongooseAggregatePaginate)
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema)
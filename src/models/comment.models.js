@@ -1,5 +1,7 @@
 import mongoose, {Schema} from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { Like } from "./like.models.js";
+import { Notification } from "./notification.models.js";
 
 const commentSchema = new Schema(
     {
@@ -14,6 +16,12 @@ const commentSchema = new Schema(
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        // null for top level comments, otherwise the comment this one replies to
+        parentComment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null
         }
     },
     {
@@ -21,6 +29,19 @@ const commentSchema = new Schema(
     }
 )
 
+// listing comments of a video and replies of a comment
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 })
+
+// replies dont make sense without the comment they answer
+// removes the comment, its replies and the likes and notifications of all of them
+commentSchema.statics.deleteWithReplies = async function(commentId) {
+    const replyIds = await this.find({ parentComment: commentId }).distinct("_id")
+
+    await this.deleteMany({ parentComment: commentId })
+    await this.deleteOne({ _id: commentId })
+    await Like.deleteMany({ comment: { $in: [commentId, ...replyIds] } })
+    await Notification.deleteMany({ comment: { $in: [commentId, ...replyIds] } })
+}
 
 commentSchema.plugin(mongooseAggregatePaginate)
 
@@ -0,0 +1,17 @@
+import { IMAGE_PROCESSING_STATUS } from '../constants.js'
+
+// progress of an image handed to the image.process job, used as <field>Processing
+// uploadId -> the upload being processed, a newer upload replaces it and the older job drops its result
+export const imageProcessingPath = () => ({
+    status : {
+        type : String,
+        enum : IMAGE_PROCESSING_STATUS
+    },
+    error : {
+        type : String
+    },
+    uploadId : {
+        type : String,
+        select : false
+    }
+})
@@ -0,0 +1,53 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { JOB_MAX_ATTEMPTS, JOB_STATUS } from "../constants.js";
+
+// one unit of background work, picked up by the worker in utils/jobQueue.js
+const jobSchema = new Schema({
+    type: {
+        type: String, // e.g. video.process, media.delete
+        required: true
+    },
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: JOB_STATUS,
+        default: "queued"
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: JOB_MAX_ATTEMPTS
+    },
+    // not picked up before this, pushed back after every failure
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    finishedAt: {
+        type: Date
+    }
+}, {timestamps: true})
+
+jobSchema.index({ status: 1, runAt: 1 })
+// completed jobs are removed after a week, dead ones stay until someone looks at them
+jobSchema.index(
+    { finishedAt: 1 },
+    { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { status: "completed" } }
+)
+
+jobSchema.plugin(mongooseAggregatePaginate)
+
+export const Job = mongoose.model("Job", jobSchema)
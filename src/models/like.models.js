@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 
 const likeSchema = new Schema({
@@ -16,9 +17,30 @@ const likeSchema = new Schema({
     },
     likedBy: {
         type: Schema.Types.ObjectId,
-        ref: "User"
+        ref: "User",
+        required: true
     },
     
 }, {timestamps: true})
 
-export const Like = mongoose.model("Like", likeSchema)
\ No newline at end of file
+// a user can like each target only once
+// partial so the index only applies to likes of that kind (others dont have the field)
+for (const target of ["video", "comment", "tweet"]) {
+    likeSchema.index(
+        { [target]: 1, likedBy: 1 },
+        {
+            unique: true,
+            partialFilterExpression: { [target]: { $exists: true } }
+        }
+    )
+}
+
+// video likes in a time window -> trending videos of the home feed
+likeSchema.index(
+    { createdAt: 1, video: 1 },
+    { partialFilterExpression: { video: { $exists: true } } }
+)
+
+likeSchema.plugin(mongooseAggregatePaginate)
+
+export const Like = mongoose.model("Like", likeSchema)
@@ -0,0 +1,62 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { NOTIFICATION_TYPES } from "../constants.js";
+
+// actor did `type` to something of recipient
+// video, comment, tweet -> what it is about, only the ones that apply are set
+const notificationSchema = new Schema({
+    recipient: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video"
+    },
+    comment: {
+        type: Schema.Types.ObjectId,
+        ref: "Comment"
+    },
+    tweet: {
+        type: Schema.Types.ObjectId,
+        ref: "Tweet"
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date
+    },
+    // type, actor and refs in one string -> unique per recipient, see the index below
+    dedupeKey: {
+        type: String
+    }
+}, {timestamps: true})
+
+// newest first for a user, and unread count
+notificationSchema.index({ recipient: 1, createdAt: -1 })
+notificationSchema.index({ recipient: 1, isRead: 1 })
+// finding the notification to replace when it happens again
+notificationSchema.index({ recipient: 1, actor: 1, type: 1 })
+// one notification per action, enforced by mongo so parallel notify calls cant both insert
+// notifications from before dedupeKey existed are left out
+notificationSchema.index(
+    { recipient: 1, dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+)
+
+notificationSchema.plugin(mongooseAggregatePaginate)
+
+export const Notification = mongoose.model("Notification", notificationSchema)
@@ -1,4 +1,6 @@
 import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { PLAYLIST_VISIBILITY } from "../constants.js";
 
 const playlistSchema = new Schema({
     name: {
@@ -9,6 +11,7 @@ const playlistSchema = new Schema({
         type: String,
         required: true
     },
+    // order of this array is the order of the playlist
     videos: [
         {
             type: Schema.Types.ObjectId,
@@ -19,8 +22,15 @@ const playlistSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: "User"
     },
+    visibility: {
+        type: String,
+        enum: PLAYLIST_VISIBILITY,
+        default: "public"
+    }
 }, {timestamps: true})
 
+playlistSchema.index({ name: "text" }, { name: "playlist_text" })
 
+playlistSchema.plugin(mongooseAggregatePaginate)
 
-export const Playlist = mongoose.model("Playlist", playlistSchema)
\ No newline at end of file
+export const Playlist = mongoose.model("Playlist", playlistSchema)
@@ -0,0 +1,43 @@
+import mongoose, {Schema} from "mongoose";
+import { hashToken } from "../utils/tokens.js";
+
+// one session per logged in device
+// refresh token is rotated on every refresh, only the hash of the current one is stored
+// a refresh token that doesnt match the hash is an old (rotated) one being reused
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    userAgent: {
+        type: String,
+        default: ""
+    },
+    ip: {
+        type: String,
+        default: ""
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // same as the refresh token expiry, mongo removes the session after it
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {timestamps: true})
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+sessionSchema.statics.hashToken = function(token) {
+    return hashToken(token)
+}
+
+export const Session = mongoose.model("Session", sessionSchema)
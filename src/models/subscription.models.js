@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose"
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2"
 
 const subscriptionSchema = new Schema({
     subscriber: {
@@ -11,6 +12,11 @@ const subscriptionSchema = new Schema({
     }
 }, {timestamps: true})
 
+// one subscription per subscriber and channel
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true })
+// subscriber lists of a channel
+subscriptionSchema.index({ channel: 1, createdAt: -1 })
 
+subscriptionSchema.plugin(mongooseAggregatePaginate)
 
 export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
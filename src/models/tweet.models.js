@@ -1,4 +1,5 @@
 import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const tweetSchema = new Schema({
     content: {
@@ -11,5 +12,11 @@ const tweetSchema = new Schema({
     }
 }, {timestamps: true})
 
+// timeline of a channel, newest first
+tweetSchema.index({ owner: 1, createdAt: -1 })
 
-export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
+tweetSchema.index({ content: "text" }, { name: "tweet_text" })
+
+tweetSchema.plugin(mongooseAggregatePaginate)
+
+export const Tweet = mongoose.model("Tweet", tweetSchema)
@@ -0,0 +1,54 @@
+import mongoose, {Schema} from "mongoose";
+
+// one resumable video upload
+// chunks are kept in public/temp/uploads/<_id>/<index>.part until the upload is completed
+// uploading -> chunks are accepted, assembling -> complete is running, nothing else can touch it
+const uploadSessionSchema = new Schema({
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    chunkSize: {
+        type: Number,
+        required: true
+    },
+    totalChunks: {
+        type: Number,
+        required: true
+    },
+    // sha256 (hex) of the whole file, optional -> checked when the chunks are assembled
+    checksum: {
+        type: String
+    },
+    receivedChunks: [{
+        type: Number
+    }],
+    status: {
+        type: String,
+        enum: ["uploading", "assembling"],
+        default: "uploading"
+    },
+    // pushed forward by every chunk, mongo removes the session after it
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {timestamps: true})
+
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema)
@@ -2,6 +2,10 @@ import mongoose from 'mongoose'
 //jwt is a bearer token -> who ever has the token is conidered legit
 import jwt from 'jsonwebtoken'
 import bcrypt from 'bcrypt'
+import mongooseAggregatePaginate from 'mongoose-aggregate-paginate-v2'
+import crypto from 'crypto'
+import { ACCOUNT_STATUS, NOTIFICATION_TYPES, USER_ROLES } from '../constants.js'
+import { imageProcessingPath } from './imageProcessing.models.js'
 
 const userSchema = new mongoose.Schema({
     username : {
@@ -25,22 +29,101 @@ const userSchema = new mongoose.Schema({
         index:true
     },
     avatar : {
-        type : String, // cloudinary url
-        required : true,
+        type : String, // storage url
+        // empty right after registration, the image.process job fills it in
+        required : function () {
+            return !this.avatarProcessing?.status
+        },
     },
     coverImage : {
         type : String
     },
+    // resized copies of avatar and coverImage -> { "<size>": { webp, jpeg } }
+    // missing on users from before, avatar and coverImage are still the urls to fall back to
+    avatarVariants : {
+        type : mongoose.Schema.Types.Mixed
+    },
+    coverImageVariants : {
+        type : mongoose.Schema.Types.Mixed
+    },
+    avatarProcessing : imageProcessingPath(),
+    coverImageProcessing : imageProcessingPath(),
+    // legacy -> history now lives in the watchhistories collection
+    // ids left here are imported there the first time history is read
     watchHistory : [{
         type : mongoose.Schema.Types.ObjectId,
         ref : "Video"
     }],
+    // type -> false turns that kind of notification off, everything is on by default
+    notificationPreferences : Object.fromEntries(
+        NOTIFICATION_TYPES.map((type) => [type, { type : Boolean, default : true }])
+    ),
+    // while paused, watched videos are not added to watchHistory
+    isWatchHistoryPaused : {
+        type : Boolean,
+        default : false
+    },
     password: {
         type : String,
         required: [true ,"Password is required"]
     },
-    refreshToken :{
-        type:String
+    role : {
+        type : String,
+        enum : USER_ROLES,
+        default : "user"
+    },
+    status : {
+        type : String,
+        enum : ACCOUNT_STATUS,
+        default : "active"
+    },
+    suspendedUntil : {
+        type : Date
+    },
+    isEmailVerified : {
+        type : Boolean,
+        default : false
+    },
+    // hashes of the tokens mailed to the user, never sent back in responses
+    emailVerificationToken : {
+        type : String,
+        select : false
+    },
+    emailVerificationExpiry : {
+        type : Date,
+        select : false
+    },
+    passwordResetToken : {
+        type : String,
+        select : false
+    },
+    passwordResetExpiry : {
+        type : Date,
+        select : false
+    },
+    isTwoFactorEnabled : {
+        type : Boolean,
+        default : false
+    },
+    // base32 secret shared with the authenticator app
+    twoFactorSecret : {
+        type : String,
+        select : false
+    },
+    // secret waiting for the first code during setup
+    twoFactorPendingSecret : {
+        type : String,
+        select : false
+    },
+    // hashes of the one time recovery codes, used ones are removed
+    twoFactorRecoveryCodes : {
+        type : [String],
+        select : false
+    },
+    // time step of the last accepted code, the same code cant be used twice
+    twoFactorLastUsedStep : {
+        type : Number,
+        select : false
     }
 },{timestamps : true})
 
@@ -61,15 +144,31 @@ userSchema.methods.isPasswordCorrect = async function(password){
     return await bcrypt.compare(password,this.password)
 }
 
+// null if the account can be used, otherwise the reason it cant
+// a suspension that has run out counts as active
+userSchema.methods.getAccessRestriction = function() {
+    if(this.status === "banned"){
+        return "This account has been banned"
+    }
+    if(this.status === "suspended" && (!this.suspendedUntil || this.suspendedUntil > new Date())){
+        return this.suspendedUntil
+            ? `This account is suspended until ${this.suspendedUntil.toISOString()}`
+            : "This account is suspended"
+    }
+    return null
+}
+
 // short lived -> once logged in
-userSchema.methods.generateAccessToken = function() {
+// sid -> session (device) the token belongs to
+userSchema.methods.generateAccessToken = function(sessionId) {
     return jwt.sign(
         // payload
         {
             _id :this._id,
             email:this.email,
             username :this.username,
-            fullName : this.fullName
+            fullName : this.fullName,
+            sid : sessionId
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -78,11 +177,14 @@ userSchema.methods.generateAccessToken = function() {
     )
 }
 // long lived -> can use for login
-userSchema.methods.generateRefershToken = function() {
+userSchema.methods.generateRefershToken = function(sessionId) {
     return jwt.sign(
         // payload -> keep paylod less because it keeps refreshing
+        // jti makes every rotated token unique even if issued in the same second
         {
             _id :this._id,
+            sid : sessionId,
+            jti : crypto.randomUUID()
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -91,5 +193,12 @@ userSchema.methods.generateRefershToken = function() {
     )
 }
 
+// channel search, a username match counts more than a name match
+userSchema.index(
+    { username: "text", fullName: "text" },
+    { name: "user_text", weights: { username: 3, fullName: 1 } }
+)
+
+userSchema.plugin(mongooseAggregatePaginate)
 
 export const User = mongoose.model("User" , userSchema)
\ No newline at end of file
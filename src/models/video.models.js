@@ -1,16 +1,29 @@
 import mongoose ,{Schema} from 'mongoose'
 import mongooseAggregatePaginate from 'mongoose-aggregate-paginate-v2'
 import aggregatePaginate from 'mongoose-aggregate-paginate-v2'
+import { VIDEO_PROCESSING_STATUS } from '../constants.js'
+import { imageProcessingPath } from './imageProcessing.models.js'
+
+// files are uploaded by a background job, they are only there once the video is ready
+const isReady = function () {
+    return this.processingStatus === "ready"
+}
 
 const videoSchema = new Schema({
     videoFile:{
-        type : String, //cloudinary url
-        required : true
+        type : String, //storage url
+        required : isReady
     },
     thumbnail:{
-        type : String, //cloudinary url
-        required : true
+        type : String, //storage url
+        required : isReady
     },
+    // resized copies -> { "<width>": { webp, jpeg } }, missing on older videos
+    thumbnailVariants:{
+        type : Schema.Types.Mixed
+    },
+    // a replaced thumbnail, the first one is part of processingStatus
+    thumbnailProcessing : imageProcessingPath(),
     title:{
         type : String, 
         required : true
@@ -21,7 +34,7 @@ const videoSchema = new Schema({
     },
     duration : {
         type : Number, //from cloudinary
-        required : true,
+        default : 0
     },
     views : {
         type : Number,
@@ -31,11 +44,36 @@ const videoSchema = new Schema({
         type : Boolean,
         default : true
     },
+    // publish once processing is done -> unpublishing while processing sets it to false
+    // missing counts as true, videos queued before it existed were meant to be published
+    publishOnReady : {
+        type : Boolean
+    },
+    // unpublished by a moderator -> the owner cant publish it again until an admin unlocks it
+    moderationLocked : {
+        type : Boolean,
+        default : false
+    },
     owner : {
         type : Schema.Types.ObjectId,
         ref: "User"
+    },
+    // videos from before the job queue were processed in the request -> ready
+    processingStatus : {
+        type : String,
+        enum : VIDEO_PROCESSING_STATUS,
+        default : "ready"
+    },
+    processingError : {
+        type : String
     }
-},{timestaps : true})
+},{timestamps : true})
+
+// search, a title match counts more than a description match
+videoSchema.index(
+    { title: "text", description: "text" },
+    { name: "video_text", weights: { title: 3, description: 1 } }
+)
 
 videoSchema.plugin(mongooseAggregatePaginate)
 
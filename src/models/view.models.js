@@ -0,0 +1,37 @@
+import mongoose, {Schema} from "mongoose";
+
+// one document per counted view of a video
+// video.views is the running total, these are kept for per day stats
+const viewSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    viewer: {
+        type: Schema.Types.ObjectId, // null for anonymous views
+        ref: "User",
+        default: null
+    },
+    // anonymous views are told apart by a keyed hash of the ip, the ip itself is never stored
+    ipHash: {
+        type: String
+    },
+    // start of the dedup window the view was counted in
+    windowStart: {
+        type: Date
+    }
+}, {timestamps: true})
+
+// views of a set of videos in a time window
+viewSchema.index({ video: 1, createdAt: -1 })
+// every view in a time window -> trending videos of the home feed
+viewSchema.index({ createdAt: 1, video: 1 })
+// a viewer (or an ip for anonymous views) counts once per video and window
+// enforced by mongo so parallel requests cant both count, views from before windowStart existed are left out
+viewSchema.index(
+    { video: 1, viewer: 1, ipHash: 1, windowStart: 1 },
+    { unique: true, partialFilterExpression: { windowStart: { $exists: true } } }
+)
+
+export const View = mongoose.model("View", viewSchema)
@@ -0,0 +1,101 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { MAX_WATCH_HISTORY } from "../constants.js";
+
+// one entry per user and video, watching again moves it to the top
+const watchHistorySchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    watchedAt: {
+        type: Date,
+        default: Date.now
+    },
+    position: {
+        type: Number, // last playback position in seconds
+        default: 0,
+        min: 0
+    }
+}, {timestamps: true})
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true })
+watchHistorySchema.index({ user: 1, watchedAt: -1 })
+
+// drop the oldest entries once the user has more than MAX_WATCH_HISTORY
+const trimHistory = async (model, userId) => {
+    const stale = await model.find({ user: userId })
+    .sort({ watchedAt: -1 })
+    .skip(MAX_WATCH_HISTORY)
+    .select("_id")
+
+    if (stale.length) {
+        await model.deleteMany({ _id: { $in: stale.map((entry) => entry._id) } })
+    }
+}
+
+// move video to the top of the history, position is kept so playback can resume
+// returns the entry
+watchHistorySchema.statics.record = async function(userId, videoId) {
+    const entry = await this.findOneAndUpdate(
+        { user: userId, video: videoId },
+        {
+            $set: { watchedAt: new Date() },
+            $setOnInsert: { position: 0 }
+        },
+        { upsert: true, new: true }
+    )
+
+    await trimHistory(this, userId)
+
+    return entry
+}
+
+// save the playback position reported by the player
+watchHistorySchema.statics.updatePosition = async function(userId, videoId, position) {
+    const entry = await this.findOneAndUpdate(
+        { user: userId, video: videoId },
+        {
+            $set: { watchedAt: new Date(), position }
+        },
+        { upsert: true, new: true, runValidators: true }
+    )
+
+    await trimHistory(this, userId)
+
+    return entry
+}
+
+// user.watchHistory used to be a plain array of video ids (most recent first)
+// import it once, keeping the order, entries that already exist are left alone
+watchHistorySchema.statics.importLegacy = async function(userId, videoIds = [], watchedBefore = new Date()) {
+    if (!videoIds.length) return
+
+    await this.bulkWrite(
+        videoIds.map((videoId, index) => ({
+            updateOne: {
+                filter: { user: userId, video: videoId },
+                update: {
+                    // real watch times are unknown, one ms apart keeps the order
+                    $setOnInsert: {
+                        watchedAt: new Date(watchedBefore.getTime() - index),
+                        position: 0
+                    }
+                },
+                upsert: true
+            }
+        }))
+    )
+
+    await trimHistory(this, userId)
+}
+
+watchHistorySchema.plugin(mongooseAggregatePaginate)
+
+export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema)
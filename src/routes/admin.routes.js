@@ -0,0 +1,43 @@
+import { Router } from "express";
+
+import {
+        banUser,
+        deleteComment,
+        deleteTweet,
+        getAuditLogs,
+        getJobs,
+        getUsers,
+        reinstateUser,
+        retryJob,
+        suspendUser,
+        unlockVideo,
+        unpublishVideo,
+        updateUserRole
+}
+from '../controllers/admin.controller.js'
+
+const router = Router()
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { moderationSchema } from "../validators/admin.validators.js";
+
+// moderators and admins, routes that need admin add authorize("admin")
+router.use(verifyJWT, authorize("moderator", "admin"))
+
+router.route("/users").get(getUsers)
+router.route("/users/:userId/suspend").patch(validate(moderationSchema), suspendUser)
+router.route("/users/:userId/ban").patch(authorize("admin"), validate(moderationSchema), banUser)
+router.route("/users/:userId/reinstate").patch(authorize("admin"), validate(moderationSchema), reinstateUser)
+router.route("/users/:userId/role").patch(authorize("admin"), validate(moderationSchema), updateUserRole)
+
+router.route("/videos/:videoId/unpublish").patch(validate(moderationSchema), unpublishVideo)
+router.route("/videos/:videoId/unlock").patch(authorize("admin"), validate(moderationSchema), unlockVideo)
+router.route("/comments/:commentId").delete(validate(moderationSchema), deleteComment)
+router.route("/tweets/:tweetId").delete(validate(moderationSchema), deleteTweet)
+
+router.route("/audit-logs").get(authorize("admin"), getAuditLogs)
+
+router.route("/jobs").get(authorize("admin"), getJobs)
+router.route("/jobs/:jobId/retry").post(authorize("admin"), validate(moderationSchema), retryJob)
+
+export default router
@@ -0,0 +1,23 @@
+import { Router } from "express";
+
+import {
+        addComment,
+        deleteComment,
+        getCommentReplies,
+        getVideoComments,
+        updateComment
+}
+from '../controllers/comment.controller.js'
+
+const router = Router()
+import { requireVerifiedEmail, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { addCommentSchema, updateCommentSchema } from "../validators/comment.validators.js";
+
+router.use(verifyJWT)
+
+router.route("/:videoId").get(getVideoComments).post(requireVerifiedEmail, validate(addCommentSchema), addComment)
+router.route("/c/:commentId").patch(validate(updateCommentSchema), updateComment).delete(deleteComment)
+router.route("/c/:commentId/replies").get(getCommentReplies)
+
+export default router
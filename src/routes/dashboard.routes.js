@@ -0,0 +1,19 @@
+import { Router } from "express";
+
+import {
+        getChannelStats,
+        getChannelVideos
+}
+from '../controllers/dashboard.controller.js'
+
+const router = Router()
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+router.use(verifyJWT)
+
+// ?days= -> window of the per day time series
+router.route("/stats").get(getChannelStats)
+// ?sortBy=views -> the full list behind the top videos of the stats
+router.route("/videos").get(getChannelVideos)
+
+export default router
@@ -0,0 +1,18 @@
+import { Router } from "express";
+
+import {
+        getHomeFeed,
+        getSubscriptionsFeed
+}
+from '../controllers/feed.controller.js'
+
+const router = Router()
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+router.use(verifyJWT)
+
+// ?cursor=&limit= -> next page with nextCursor from the previous response
+router.route("/home").get(getHomeFeed)
+router.route("/subscriptions").get(getSubscriptionsFeed)
+
+export default router
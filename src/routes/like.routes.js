@@ -0,0 +1,21 @@
+import { Router } from "express";
+
+import {
+        getLikedVideos,
+        toggleCommentLike,
+        toggleTweetLike,
+        toggleVideoLike
+}
+from '../controllers/like.controller.js'
+
+const router = Router()
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+router.use(verifyJWT)
+
+router.route("/toggle/v/:videoId").post(toggleVideoLike)
+router.route("/toggle/c/:commentId").post(toggleCommentLike)
+router.route("/toggle/t/:tweetId").post(toggleTweetLike)
+router.route("/videos").get(getLikedVideos)
+
+export default router
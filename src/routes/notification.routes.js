@@ -0,0 +1,30 @@
+import { Router } from "express";
+
+import {
+        getNotificationPreferences,
+        getNotifications,
+        getUnreadNotificationCount,
+        markAllNotificationsRead,
+        markNotificationRead,
+        streamNotifications,
+        updateNotificationPreferences
+}
+from '../controllers/notification.controller.js'
+
+const router = Router()
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+// stream too -> EventSource sends the accessToken cookie, other clients can send the Bearer header
+router.use(verifyJWT)
+
+router.route("/").get(getNotifications)
+router.route("/stream").get(streamNotifications)
+router.route("/unread-count").get(getUnreadNotificationCount)
+router.route("/read-all").patch(markAllNotificationsRead)
+router
+.route("/preferences")
+.get(getNotificationPreferences)
+.patch(updateNotificationPreferences)
+router.route("/:notificationId/read").patch(markNotificationRead)
+
+export default router
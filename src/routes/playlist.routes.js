@@ -0,0 +1,37 @@
+import { Router } from "express";
+
+import {
+        addVideoToPlaylist,
+        createPlaylist,
+        deletePlaylist,
+        getPlaylistById,
+        getUserPlaylists,
+        moveVideoInPlaylist,
+        removeVideoFromPlaylist,
+        updatePlaylist
+}
+from '../controllers/playlist.controller.js'
+
+const router = Router()
+import { requireVerifiedEmail, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { createPlaylistSchema, updatePlaylistSchema } from "../validators/playlist.validators.js";
+
+router.use(verifyJWT)
+
+router.route("/").post(requireVerifiedEmail, validate(createPlaylistSchema), createPlaylist)
+
+router
+.route("/:playlistId")
+.get(getPlaylistById)
+.patch(validate(updatePlaylistSchema), updatePlaylist)
+.delete(deletePlaylist)
+
+router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist)
+router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist)
+// body -> { index }
+router.route("/move/:videoId/:playlistId").patch(moveVideoInPlaylist)
+
+router.route("/user/:userId").get(getUserPlaylists)
+
+export default router
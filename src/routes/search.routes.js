@@ -0,0 +1,24 @@
+import { Router } from "express";
+
+import {
+        search,
+        suggest
+}
+from '../controllers/search.controller.js'
+
+const router = Router()
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+
+router.use(verifyJWT)
+
+// suggest is called on every keystroke, it gets the bigger budget
+const searchLimiter = rateLimit({ name: "search", windowMs: 60 * 1000, max: 60 })
+const suggestLimiter = rateLimit({ name: "search-suggest", windowMs: 60 * 1000, max: 240 })
+
+// ?q=&type=&page=&limit=
+router.route("/").get(searchLimiter, search)
+// ?q=&limit=
+router.route("/suggest").get(suggestLimiter, suggest)
+
+export default router
@@ -0,0 +1,19 @@
+import { Router } from "express";
+
+import {
+        getSubscribedChannels,
+        getUserChannelSubscribers,
+        toggleSubscription
+}
+from '../controllers/subscription.controller.js'
+
+const router = Router()
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+router.use(verifyJWT)
+
+router.route("/c/:channelId").post(toggleSubscription)
+router.route("/c/:channelId/subscribers").get(getUserChannelSubscribers)
+router.route("/u/:subscriberId").get(getSubscribedChannels)
+
+export default router
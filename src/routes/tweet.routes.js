@@ -0,0 +1,22 @@
+import { Router } from "express";
+
+import {
+        createTweet,
+        deleteTweet,
+        getUserTweets,
+        updateTweet
+}
+from '../controllers/tweet.controller.js'
+
+const router = Router()
+import { requireVerifiedEmail, verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { tweetSchema } from "../validators/tweet.validators.js";
+
+router.use(verifyJWT)
+
+router.route("/").post(requireVerifiedEmail, validate(tweetSchema), createTweet)
+router.route("/user/:userId").get(getUserTweets)
+router.route("/:tweetId").patch(validate(tweetSchema), updateTweet).delete(deleteTweet)
+
+export default router
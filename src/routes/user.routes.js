@@ -10,17 +10,59 @@ import { changeCurrentPassword,
         updateAvatar, 
         updateCoverImage,
         getUserChannelProfile,
-        getWatchHistory} 
+        getWatchHistory,
+        updateWatchPosition,
+        removeFromWatchHistory,
+        clearWatchHistory,
+        toggleWatchHistoryPause,
+        verifyEmail,
+        resendVerificationEmail,
+        forgotPassword,
+        resetPassword,
+        getSessions,
+        revokeSession,
+        revokeOtherSessions,
+        loginWithTwoFactor,
+        setupTwoFactor,
+        confirmTwoFactor,
+        disableTwoFactor} 
 from '../controllers/user.controller.js'
 
 const router = Router()
 import {upload} from '../middlewares/multer.middleware.js'
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { byUser, rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+        changePasswordSchema,
+        channelProfileSchema,
+        forgotPasswordSchema,
+        loginSchema,
+        registerSchema,
+        resetPasswordSchema,
+        sessionSchema,
+        twoFactorDisableSchema,
+        twoFactorEnableSchema,
+        twoFactorLoginSchema,
+        updateAccountSchema,
+        verifyEmailSchema,
+        watchHistoryEntrySchema,
+        watchHistoryPauseSchema,
+        watchHistorySchema,
+        watchPositionSchema
+} from "../validators/user.validators.js";
 
 // /users/register
 // router.route("/register").post(registerUser)
 
+// limits per ip unless noted, uploads are limited before multer saves anything
+const loginLimiter = rateLimit({ name: "login", windowMs: 15 * 60 * 1000, max: 20 })
+const registerLimiter = rateLimit({ name: "register", windowMs: 60 * 60 * 1000, max: 10 })
+const refreshLimiter = rateLimit({ name: "refresh-token", windowMs: 15 * 60 * 1000, max: 60 })
+const uploadLimiter = rateLimit({ name: "user-upload", windowMs: 60 * 60 * 1000, max: 20, keyGenerator: byUser })
+
 router.route("/register").post(
+    registerLimiter,
     // middleware for avatar and coverPage
     upload.fields([
         {
@@ -32,24 +74,46 @@ router.route("/register").post(
             maxCount: 1 
         }
     ]),
+    // after multer, multipart body is only parsed there
+    validate(registerSchema),
     registerUser
 )
 
-router.route("/login").post(loginUser)
+router.route("/login").post(loginLimiter, validate(loginSchema), loginUser)
+router.route("/login/2fa").post(loginLimiter, validate(twoFactorLoginSchema), loginWithTwoFactor)
+
+router.route("/verify-email").post(validate(verifyEmailSchema), verifyEmail)
+router.route("/resend-verification").post(verifyJWT, resendVerificationEmail)
+router.route("/forgot-password").post(validate(forgotPasswordSchema), forgotPassword)
+router.route("/reset-password").post(validate(resetPasswordSchema), resetPassword)
 
 // secured route 
 router.route("/logout").post(
     verifyJWT,
     logoutUser)
 
-router.route("/refresh-token").post(refershAccessToken)
-router.route("/change-password").post(verifyJWT,changeCurrentPassword)
+router.route("/refresh-token").post(refreshLimiter, refershAccessToken)
+router.route("/change-password").post(verifyJWT,validate(changePasswordSchema),changeCurrentPassword)
 router.route("/current-user").get(verifyJWT,getCurrentUser)
-router.route("/update-account").patch(verifyJWT,updateAccountDetails)
-router.route("/update-avatar").patch(verifyJWT,upload.single("avatar"),updateAvatar)
-router.route("/update-coverImage").patch(verifyJWT,upload.single("coverImage"),updateCoverImage)
+router.route("/update-account").patch(verifyJWT,validate(updateAccountSchema),updateAccountDetails)
+router.route("/update-avatar").patch(verifyJWT,uploadLimiter,upload.single("avatar"),updateAvatar)
+router.route("/update-coverImage").patch(verifyJWT,uploadLimiter,upload.single("coverImage"),updateCoverImage)
+
+
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor)
+router.route("/2fa/enable").post(verifyJWT, validate(twoFactorEnableSchema), confirmTwoFactor)
+router.route("/2fa/disable").post(verifyJWT, validate(twoFactorDisableSchema), disableTwoFactor)
 
+router.route("/sessions").get(verifyJWT, getSessions)
+router.route("/sessions/revoke-others").post(verifyJWT, revokeOtherSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, validate(sessionSchema), revokeSession)
 
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/c/:username").get(verifyJWT, validate(channelProfileSchema), getUserChannelProfile)
+router.route("/history")
+.get(verifyJWT, validate(watchHistorySchema), getWatchHistory)
+.delete(verifyJWT, clearWatchHistory)
+router.route("/history/pause").patch(verifyJWT, validate(watchHistoryPauseSchema), toggleWatchHistoryPause)
+router.route("/history/:videoId")
+.patch(verifyJWT, validate(watchPositionSchema), updateWatchPosition)
+.delete(verifyJWT, validate(watchHistoryEntrySchema), removeFromWatchHistory)
 export default router
\ No newline at end of file
@@ -0,0 +1,75 @@
+import express, { Router } from "express";
+
+import {
+        deleteVideo,
+        getAllVideos,
+        getVideoById,
+        publishAVideo,
+        togglePublishStatus,
+        updateVideo,
+        getVideoProcessingStatus,
+        initiateVideoUpload,
+        uploadVideoChunk,
+        getVideoUploadStatus,
+        completeVideoUpload,
+        cancelVideoUpload
+}
+from '../controllers/video.controller.js'
+
+const router = Router()
+import { upload } from '../middlewares/multer.middleware.js'
+import { optionalJWT, requireVerifiedEmail, verifyJWT } from "../middlewares/auth.middleware.js";
+import { byUser, rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { initiateVideoUploadSchema, publishVideoSchema, updateVideoSchema } from "../validators/video.validators.js";
+import { UPLOAD_CHUNK_SIZE_MB } from "../constants.js";
+
+// anyone can watch a published video, logged in viewers also get their like and watch history
+router.route("/:videoId").get(optionalJWT, getVideoById)
+
+// every other video route needs the logged in user
+router.use(verifyJWT)
+
+// per user, before multer saves anything
+const uploadLimiter = rateLimit({ name: "video-upload", windowMs: 60 * 60 * 1000, max: 20, keyGenerator: byUser })
+
+router.route("/").get(getAllVideos).post(
+    requireVerifiedEmail,
+    uploadLimiter,
+    upload.fields([
+        {
+            name: "videoFile",
+            maxCount: 1
+        },
+        {
+            name: "thumbnail",
+            maxCount: 1
+        }
+    ]),
+    validate(publishVideoSchema),
+    publishAVideo
+)
+
+// resumable uploads -> start, PUT every chunk, check what is missing, complete with the thumbnail
+router.route("/uploads").post(requireVerifiedEmail, uploadLimiter, validate(initiateVideoUploadSchema), initiateVideoUpload)
+router
+.route("/uploads/:uploadId")
+.get(getVideoUploadStatus)
+// same fields as a direct upload
+.post(requireVerifiedEmail, upload.single("thumbnail"), validate(publishVideoSchema), completeVideoUpload)
+.delete(cancelVideoUpload)
+router.route("/uploads/:uploadId/chunks/:index").put(
+    // only chunks are sent as raw bytes, everything else stays json
+    express.raw({ type: "application/octet-stream", limit: UPLOAD_CHUNK_SIZE_MB * 1024 * 1024 }),
+    uploadVideoChunk
+)
+
+router
+.route("/:videoId")
+.patch(uploadLimiter, upload.single("thumbnail"), validate(updateVideoSchema), updateVideo)
+.delete(deleteVideo)
+
+router.route("/:videoId/processing").get(getVideoProcessingStatus)
+router.route("/toggle/publish/:videoId").patch(togglePublishStatus)
+
+export default router
@@ -0,0 +1,65 @@
+// reusable aggregation stages
+// same owner join that getWatchHistory does, so every list returns the owner in the same shape
+
+const lookupOwner = (localField = "owner") => [
+    {
+        $lookup: {
+            from: "users",
+            localField,
+            foreignField: "_id",
+            as: localField,
+            pipeline: [
+                {
+                    $project: {
+                        fullName: 1,
+                        username: 1,
+                        avatar: 1,
+                        avatarVariants: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: { // arrays is returned from lookup, we need only the first object
+            [localField]: {
+                $first: `$${localField}`
+            }
+        }
+    }
+]
+
+// likesCount and isLiked for every document in the pipeline
+// field is the ref on the like model -> video, comment or tweet
+const lookupLikes = (field, userId) => [
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: field,
+            as: "likes",
+            pipeline: [
+                {
+                    $project: { likedBy: 1 }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            likesCount: {
+                $size: "$likes"
+            },
+            isLiked: {
+                $in: [userId ?? null, "$likes.likedBy"]
+            }
+        }
+    },
+    {
+        $project: {
+            likes: 0
+        }
+    }
+]
+
+export { lookupOwner, lookupLikes }
@@ -0,0 +1,95 @@
+// files of resumable uploads on disk
+// chunks -> public/temp/uploads/<uploadId>/<index>.part, assembled file -> public/temp/<uploadId><ext>
+// mongo expires the UploadSession documents, the sweeper removes the chunks they leave behind
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { UploadSession } from '../models/uploadSession.models.js'
+
+const TEMP_DIR = "./public/temp"
+const UPLOADS_DIR = path.join(TEMP_DIR, "uploads")
+
+const getChunkDir = (uploadId) => path.join(UPLOADS_DIR, String(uploadId))
+const getChunkPath = (uploadId, index) => path.join(getChunkDir(uploadId), `${index}.part`)
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex")
+
+// same chunk can be sent again (retry after a dropped connection), it just replaces the old one
+const writeChunk = async (uploadId, index, data) => {
+    await fs.promises.mkdir(getChunkDir(uploadId), { recursive: true })
+
+    // write + rename -> a half written chunk is never picked up by assembleChunks
+    const chunkPath = getChunkPath(uploadId, index)
+    const partialPath = `${chunkPath}.${crypto.randomUUID()}`
+    await fs.promises.writeFile(partialPath, data)
+    await fs.promises.rename(partialPath, chunkPath)
+}
+
+// joins the chunks in order -> { path, size, checksum } of the whole file
+const assembleChunks = async (session) => {
+    const extension = path.extname(session.fileName).toLowerCase().replace(/[^a-z0-9.]/g, "")
+    const filePath = path.join(TEMP_DIR, `${session._id}${extension}`)
+    const hash = crypto.createHash("sha256")
+    let size = 0
+
+    const output = await fs.promises.open(filePath, "w")
+    try {
+        for (let index = 0; index < session.totalChunks; index++) {
+            const chunk = await fs.promises.readFile(getChunkPath(session._id, index))
+            hash.update(chunk)
+            size += chunk.length
+            await output.write(chunk)
+        }
+    } catch (error) {
+        await output.close()
+        await fs.promises.rm(filePath, { force: true })
+        throw error
+    }
+    await output.close()
+
+    return { path: filePath, size, checksum: hash.digest("hex") }
+}
+
+const removeChunks = (uploadId) => fs.promises.rm(getChunkDir(uploadId), { recursive: true, force: true })
+
+// chunk dirs without a live session -> expired (removed by mongo) or cancelled
+const sweepAbandonedUploads = async () => {
+    let uploadIds
+    try {
+        uploadIds = await fs.promises.readdir(UPLOADS_DIR)
+    } catch (error) {
+        if (error.code === "ENOENT") return 0
+        throw error
+    }
+
+    // ttl monitor only runs every minute, dont wait for it
+    const liveSessions = await UploadSession.find({
+        _id: { $in: uploadIds.filter((id) => /^[a-f0-9]{24}$/.test(id)) },
+        expiresAt: { $gt: new Date() }
+    }).distinct("_id")
+
+    const live = new Set(liveSessions.map(String))
+    const abandoned = uploadIds.filter((id) => !live.has(id))
+
+    await Promise.all(abandoned.map(removeChunks))
+    return abandoned.length
+}
+
+// unref -> this timer alone does not keep the process alive
+const startUploadSweeper = (intervalMs = 60 * 60 * 1000) => {
+    const timer = setInterval(() => {
+        sweepAbandonedUploads().catch((error) => console.log("upload sweep failed ", error))
+    }, intervalMs)
+    timer.unref?.()
+    return timer
+}
+
+export {
+    sha256,
+    writeChunk,
+    assembleChunks,
+    removeChunks,
+    sweepAbandonedUploads,
+    startUploadSweeper
+}
@@ -1,7 +1,6 @@
-// once file is in our server upload it to cloudinary
+// cloudinary storage provider, used by utils/storage.js when STORAGE_PROVIDER=cloudinary
 
 import { v2 as cloudinary } from 'cloudinary'
-import fs from 'fs'
 
 cloudinary.config({
     cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -9,23 +8,43 @@ cloudinary.config({
     api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-const uploadOnCloudinary = async (localFilePath) => {
-    try {
-        if (!localFilePath) return null
-        // upload to cloudinary
+// cloudinary needs the public_id to delete an asset but we only store the url
+// url looks like https://res.cloudinary.com/<cloud>/<type>/upload/v1234/<folder>/<id>.<ext>
+const getPublicIdFromUrl = (url) => {
+    const parts = url?.split("/upload/")
+    if (!parts || parts.length < 2) return null
+    return parts[1]
+    .replace(/^v\d+\//, "") // drop the version segment
+    .replace(/\.[^/.]+$/, "") // drop the extension
+}
+
+const cloudinaryStorage = {
+    upload: async (localFilePath) => {
         const response = await cloudinary.uploader.upload(localFilePath, {
             resource_type: "auto"
         })
-        // console.log("Upload response:", response);
-        //file has been uploaded sucessfully
-        console.log('file has been uploaded to cloudinary')
-        fs.unlinkSync(localFilePath)
-        return response
-    } catch (error) {
-        // console.log("cloudinary upload failed ",error)
-        fs.unlinkSync(localFilePath) //remove the locally saved temporary file
-        return null
-    }
+
+        return {
+            url: response.url,
+            key: response.public_id,
+            duration: response.duration
+        }
+    },
+
+    // videos have to be deleted with resource_type video, default is image
+    delete: async (url, resourceType = "image") => {
+        const publicId = getPublicIdFromUrl(url)
+        if (!publicId) return
+
+        await cloudinary.uploader.destroy(publicId, {
+            resource_type: resourceType
+        })
+    },
+
+    getUrl: (key, resourceType = "image") => cloudinary.url(key, {
+        resource_type: resourceType,
+        secure: true
+    })
 }
 
-export { uploadOnCloudinary }
\ No newline at end of file
+export { cloudinaryStorage }
@@ -0,0 +1,61 @@
+// opaque cursors for feeds
+// items are ordered by (key desc, _id desc), the cursor is the position of the last item sent
+// asOf -> when the first page was built, later pages ignore anything newer so inserts dont shift them
+//      { asOf, key, id } -> base64url json
+
+import mongoose, { isValidObjectId } from "mongoose";
+import { ApiError } from "./ApiError.js";
+
+const encodeCursor = ({ asOf, key, id }) =>
+    Buffer.from(JSON.stringify({ asOf: asOf.getTime(), key, id: String(id) })).toString("base64url")
+
+// no cursor -> first page, asOf is now
+const decodeCursor = (cursor) => {
+    if (!cursor) {
+        return { asOf: new Date() }
+    }
+
+    try {
+        const { asOf, key, id } = JSON.parse(Buffer.from(cursor, "base64url").toString())
+
+        if (!Number.isFinite(asOf) || !Number.isFinite(key) || !isValidObjectId(id)) {
+            throw new Error("malformed cursor")
+        }
+
+        return { asOf: new Date(asOf), key, id: new mongoose.Types.ObjectId(id) }
+    } catch (error) {
+        throw new ApiError(400, "invalid cursor")
+    }
+}
+
+// $match stage -> only items after the cursor, keyField holds the sort key
+const afterCursor = ({ key, id }, keyField) => {
+    if (id === undefined) {
+        return { $match: {} }
+    }
+
+    return {
+        $match: {
+            $or: [
+                { [keyField]: { $lt: key } },
+                { [keyField]: key, _id: { $lt: id } }
+            ]
+        }
+    }
+}
+
+// one more item than needed is fetched to know if there is a next page
+// -> { items, nextCursor, hasMore }
+const buildCursorPage = (items, limit, asOf, getKey) => {
+    const hasMore = items.length > limit
+    const page = items.slice(0, limit)
+    const last = page[page.length - 1]
+
+    return {
+        items: page,
+        nextCursor: hasMore ? encodeCursor({ asOf, key: getKey(last), id: last._id }) : null,
+        hasMore
+    }
+}
+
+export { encodeCursor, decodeCursor, afterCursor, buildCursorPage }
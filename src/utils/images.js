@@ -0,0 +1,103 @@
+// uploaded images are normalized before they are stored
+//      rotated by their EXIF orientation, then all metadata (EXIF, GPS...) is dropped
+//      resized to every width of the preset, in webp and a jpeg fallback
+// stored as -> url (default size, jpeg, same field as before) + variants { "<size>": { webp, jpeg } }
+// documents from before only have the url, clients fall back to it when variants are missing
+
+import fs from 'fs'
+import path from 'path'
+import sharp from 'sharp'
+import { deleteFile, uploadFile } from './storage.js'
+
+// aspectRatio -> center crop to width / aspectRatio, none -> keep the original ratio
+const IMAGE_PRESETS = {
+    avatar: { sizes: [48, 128, 512], defaultSize: 512, aspectRatio: 1 },
+    coverImage: { sizes: [640, 1280, 2560], defaultSize: 1280 },
+    thumbnail: { sizes: [320, 640, 1280], defaultSize: 640, aspectRatio: 16 / 9 }
+}
+
+const FORMATS = {
+    webp: (image) => image.webp({ quality: 80 }),
+    // no transparency in jpeg -> white background instead of black
+    jpeg: (image) => image.flatten({ background: "#ffffff" }).jpeg({ quality: 80, mozjpeg: true })
+}
+
+// writes every size and format next to the original -> [{ size, format, path }]
+const processImage = async (localFilePath, presetName) => {
+    const preset = IMAGE_PRESETS[presetName]
+    const { dir, name } = path.parse(localFilePath)
+
+    // sharp drops metadata unless asked to keep it
+    const image = sharp(localFilePath).rotate()
+    const outputs = []
+
+    try {
+        for (const size of preset.sizes) {
+            const resized = image.clone().resize({
+                width: size,
+                height: preset.aspectRatio ? Math.round(size / preset.aspectRatio) : undefined,
+                fit: "cover",
+                // covers keep their size when they are smaller than the width
+                withoutEnlargement: !preset.aspectRatio
+            })
+
+            for (const [format, encode] of Object.entries(FORMATS)) {
+                const outputPath = path.join(dir, `${name}-${size}.${format}`)
+                outputs.push({ size, format, path: outputPath })
+                await encode(resized.clone()).toFile(outputPath)
+            }
+        }
+    } catch (error) {
+        await Promise.all(outputs.map((output) => fs.promises.rm(output.path, { force: true })))
+        throw error
+    }
+
+    return outputs
+}
+
+// returns { url, variants } or null when the image cant be processed or uploaded
+const uploadImage = async (localFilePath, presetName) => {
+    if (!localFilePath) return null
+
+    let outputs
+    try {
+        outputs = await processImage(localFilePath, presetName)
+    } catch (error) {
+        console.log("image processing failed ", error)
+        return null
+    }
+
+    const variants = {}
+    for (const output of outputs) {
+        // uploadFile removes the processed file in every case
+        const uploaded = await uploadFile(output.path)
+        if (uploaded) {
+            variants[output.size] = { ...variants[output.size], [output.format]: uploaded.url }
+        }
+    }
+
+    const uploadedCount = Object.values(variants).reduce((count, urls) => count + Object.keys(urls).length, 0)
+
+    // half a set is not usable -> remove what made it and fail
+    if (uploadedCount !== outputs.length) {
+        await deleteImage(null, variants)
+        return null
+    }
+
+    return {
+        url: variants[IMAGE_PRESETS[presetName].defaultSize].jpeg,
+        variants
+    }
+}
+
+// url and every variant, the url is usually one of the variants
+const getImageUrls = (url, variants) => [...new Set([
+    url,
+    ...Object.values(variants || {}).flatMap((formats) => Object.values(formats))
+])].filter(Boolean)
+
+const deleteImage = async (url, variants) => {
+    await Promise.all(getImageUrls(url, variants).map((fileUrl) => deleteFile(fileUrl)))
+}
+
+export { uploadImage, deleteImage, getImageUrls, processImage, IMAGE_PRESETS }
@@ -0,0 +1,137 @@
+// in process job queue backed by the jobs collection
+//      registerJobHandler(type, handler, { onDead }) -> handler(payload, job) does the work, throws to retry
+//      enqueueJob(type, payload)                     -> saved right away, runs as soon as the worker is free
+//      startJobWorker()                              -> polls for due jobs, one at a time
+// jobs survive restarts, a job that was running when the process died is picked up again after the lock timeout
+
+import { Job } from "../models/job.models.js";
+import {
+    JOB_BACKOFF_BASE_SECONDS,
+    JOB_BACKOFF_MAX_SECONDS,
+    JOB_LOCK_TIMEOUT_MINUTES
+} from "../constants.js";
+
+const handlers = new Map()
+
+const registerJobHandler = (type, handler, { onDead } = {}) => {
+    handlers.set(type, { handler, onDead })
+}
+
+const enqueueJob = (type, payload = {}, { maxAttempts, delayMs = 0 } = {}) => {
+    if (!handlers.has(type)) {
+        throw new Error(`no handler registered for job type ${type}`)
+    }
+
+    return Job.create({
+        type,
+        payload,
+        maxAttempts,
+        runAt: new Date(Date.now() + delayMs)
+    })
+}
+
+// 10s, 20s, 40s ... capped
+const getBackoffSeconds = (attempts) =>
+    Math.min(JOB_BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), JOB_BACKOFF_MAX_SECONDS)
+
+// oldest due job, or a running one whose worker is gone
+const claimNextJob = () => {
+    const now = new Date()
+
+    return Job.findOneAndUpdate(
+        {
+            $or: [
+                { status: "queued", runAt: { $lte: now } },
+                {
+                    status: "running",
+                    lockedAt: { $lte: new Date(now.getTime() - JOB_LOCK_TIMEOUT_MINUTES * 60 * 1000) }
+                }
+            ]
+        },
+        {
+            $set: { status: "running", lockedAt: now },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    )
+}
+
+const runJob = async (job) => {
+    const { handler, onDead } = handlers.get(job.type) || {}
+
+    try {
+        if (!handler) {
+            throw new Error(`no handler registered for job type ${job.type}`)
+        }
+
+        await handler(job.payload, job)
+
+        await Job.updateOne(
+            { _id: job._id },
+            { $set: { status: "completed", finishedAt: new Date() }, $unset: { lockedAt: 1 } }
+        )
+    } catch (error) {
+        const lastError = error?.message || String(error)
+
+        if (job.attempts < job.maxAttempts) {
+            await Job.updateOne(
+                { _id: job._id },
+                {
+                    $set: {
+                        status: "queued",
+                        lastError,
+                        runAt: new Date(Date.now() + getBackoffSeconds(job.attempts) * 1000)
+                    },
+                    $unset: { lockedAt: 1 }
+                }
+            )
+            return
+        }
+
+        // dead letter -> no more retries, the handler can clean up after itself
+        await Job.updateOne(
+            { _id: job._id },
+            { $set: { status: "dead", lastError, finishedAt: new Date() }, $unset: { lockedAt: 1 } }
+        )
+
+        try {
+            await onDead?.(job.payload, { ...job.toObject(), lastError })
+        } catch (deadError) {
+            console.log(`onDead of job ${job._id} failed `, deadError)
+        }
+    }
+}
+
+// runs every due job, then waits for the next poll
+// unref -> the worker alone does not keep the process alive
+const startJobWorker = ({ pollIntervalMs = 1000 } = {}) => {
+    let timer = null
+    let stopped = false
+
+    const poll = async () => {
+        try {
+            let job
+            while (!stopped && (job = await claimNextJob())) {
+                await runJob(job)
+            }
+        } catch (error) {
+            console.log("job worker failed ", error)
+        }
+
+        if (!stopped) {
+            timer = setTimeout(poll, pollIntervalMs)
+            timer.unref?.()
+        }
+    }
+
+    poll()
+
+    return {
+        stop: () => {
+            stopped = true
+            clearTimeout(timer)
+        }
+    }
+}
+
+export { registerJobHandler, enqueueJob, startJobWorker, claimNextJob, runJob }
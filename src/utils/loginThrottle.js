@@ -0,0 +1,63 @@
+// brute force protection for login
+// failed attempts are counted per account and per ip
+// once over the limit the account / ip is locked, each further failure doubles the lock time
+// uses the same pluggable store as the rate limiter
+
+import { getRateLimitStore } from "./rateLimitStore.js";
+import {
+    FAILED_LOGIN_WINDOW_MINUTES,
+    LOGIN_LOCKOUT_BASE_SECONDS,
+    LOGIN_LOCKOUT_MAX_SECONDS,
+    MAX_FAILED_LOGINS_PER_ACCOUNT,
+    MAX_FAILED_LOGINS_PER_IP
+} from "../constants.js";
+
+const keysFor = (identifier, ip) => [
+    { key: `login:account:${identifier}`, max: MAX_FAILED_LOGINS_PER_ACCOUNT },
+    { key: `login:ip:${ip}`, max: MAX_FAILED_LOGINS_PER_IP }
+]
+
+// seconds left on the longest lock of account and ip, 0 if login is allowed
+const getLoginLockout = async (identifier, ip) => {
+    const store = getRateLimitStore()
+    let retryAfter = 0
+
+    for (const { key } of keysFor(identifier, ip)) {
+        const lock = await store.get(`${key}:lock`)
+        if (lock) {
+            retryAfter = Math.max(retryAfter, Math.ceil((lock.resetAt - Date.now()) / 1000))
+        }
+    }
+
+    return retryAfter
+}
+
+const recordFailedLogin = async (identifier, ip) => {
+    const store = getRateLimitStore()
+
+    for (const { key, max } of keysFor(identifier, ip)) {
+        const { count } = await store.increment(key, FAILED_LOGIN_WINDOW_MINUTES * 60 * 1000)
+
+        if (count >= max) {
+            // 1x, 2x, 4x ... the base lock, capped
+            const lockSeconds = Math.min(
+                LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (count - max),
+                LOGIN_LOCKOUT_MAX_SECONDS
+            )
+            await store.reset(`${key}:lock`)
+            await store.increment(`${key}:lock`, lockSeconds * 1000)
+        }
+    }
+}
+
+// successful login clears the account counter
+// the ip counter is left alone, otherwise one valid account could reset it
+const clearFailedLogins = async (identifier) => {
+    const store = getRateLimitStore()
+    const [account] = keysFor(identifier)
+
+    await store.reset(account.key)
+    await store.reset(`${account.key}:lock`)
+}
+
+export { getLoginLockout, recordFailedLogin, clearFailedLogins }
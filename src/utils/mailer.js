@@ -0,0 +1,62 @@
+// mails go through a transport -> any object with async send({ from, to, subject, text, html })
+// console -> prints the mail, file -> writes every mail as json into MAIL_DIR
+// pick one with MAIL_TRANSPORT or plug in a real one (smtp, ses...) with setMailTransport
+// console and file are for development only, they put verification and reset tokens into logs and files
+// in production a real transport has to be plugged in, checkMailTransport stops the server at startup otherwise
+
+import fs from 'fs'
+import path from 'path'
+
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`mail to ${message.to}: ${message.subject}\n${message.text}`)
+    }
+}
+
+// tests can read the mails back from the directory
+const createFileTransport = (dir) => ({
+    send: async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true })
+        const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.]/g, "_")}.json`
+        await fs.promises.writeFile(
+            path.join(dir, fileName),
+            JSON.stringify(message, null, 2)
+        )
+    }
+})
+
+let transport = null
+
+const getMailTransport = () => {
+    if (!transport) {
+        if (process.env.NODE_ENV === "production") {
+            throw new Error("no mail transport configured, plug a real one in with setMailTransport")
+        }
+
+        transport = process.env.MAIL_TRANSPORT === "file"
+            ? createFileTransport(process.env.MAIL_DIR || "./logs/mails")
+            : consoleTransport
+    }
+    return transport
+}
+
+const setMailTransport = (newTransport) => {
+    transport = newTransport
+}
+
+// throws when mails could not be sent
+const checkMailTransport = () => {
+    getMailTransport()
+}
+
+const sendMail = async ({ to, subject, text, html }) => {
+    await getMailTransport().send({
+        from: process.env.MAIL_FROM || "VideoTube <no-reply@videotube.local>",
+        to,
+        subject,
+        text,
+        html
+    })
+}
+
+export { sendMail, setMailTransport, checkMailTransport, consoleTransport, createFileTransport }
@@ -0,0 +1,106 @@
+// creates notifications and pushes them to open streams
+//      notify({ recipient, actor, type, video?, comment?, tweet? }) -> one recipient
+//      notifySubscribers({ channel, type, video? })                 -> every subscriber of a channel
+//      onNotification(userId, listener)                              -> live notifications, returns unsubscribe
+// recipients that turned the type off get nothing, nobody is notified about their own actions
+// the same actor doing the same thing again (unlike -> like...) replaces the old notification instead of adding one
+// a failed notification never fails the action that caused it
+// events stay in this process, run a shared pub/sub (redis...) when there is more than one instance
+
+import { EventEmitter } from 'events'
+import { Notification } from '../models/notification.models.js'
+import { User } from '../models/user.models.js'
+import { Subscription } from '../models/subscription.models.js'
+
+const emitter = new EventEmitter()
+// one listener per open stream
+emitter.setMaxListeners(0)
+
+const onNotification = (userId, listener) => {
+    const event = String(userId)
+    emitter.on(event, listener)
+    return () => emitter.off(event, listener)
+}
+
+const publish = (notification) => {
+    emitter.emit(String(notification.recipient), notification)
+}
+
+const NOTIFICATION_REFS = ["video", "comment", "tweet"]
+
+// users that have not turned the type off
+const wantsNotification = (type) => ({ [`notificationPreferences.${type}`]: { $ne: false } })
+
+// same actor, type and refs -> same key, unique per recipient
+const getDedupeKey = ({ actor, type, ...refs }) =>
+    [type, actor, ...NOTIFICATION_REFS.map((ref) => refs[ref] ?? "")].join(":")
+
+const notify = async ({ recipient, actor, type, ...refs }) => {
+    try {
+        if (!recipient || String(recipient) === String(actor)) return null
+
+        const wanted = await User.exists({ _id: recipient, ...wantsNotification(type) })
+        if (!wanted) return null
+
+        // refs that are not given must be missing too -> a like on a comment is not a like on its video
+        // also matches notifications from before dedupeKey existed
+        const key = { recipient, actor, type }
+        for (const ref of NOTIFICATION_REFS) {
+            key[ref] = refs[ref] ?? { $exists: false }
+        }
+
+        // replaced instead of updated -> a new _id, the stream replays missed notifications by _id
+        await Notification.deleteMany(key)
+
+        let notification
+        try {
+            notification = await Notification.create({
+                recipient,
+                actor,
+                type,
+                ...refs,
+                dedupeKey: getDedupeKey({ actor, type, ...refs })
+            })
+        } catch (error) {
+            // a parallel notify for the same action inserted it first
+            if (error.code === 11000) return null
+            throw error
+        }
+
+        publish(notification.toObject())
+        return notification
+    } catch (error) {
+        console.log("notification failed ", error)
+        return null
+    }
+}
+
+const notifySubscribers = async ({ channel, type, ...refs }) => {
+    try {
+        const subscribers = await Subscription.find({ channel }).distinct("subscriber")
+
+        const recipients = await User.find({
+            _id: { $in: subscribers },
+            ...wantsNotification(type)
+        }).distinct("_id")
+
+        if (!recipients.length) return []
+
+        const notifications = await Notification.insertMany(
+            recipients.map((recipient) => ({
+                recipient,
+                actor: channel,
+                type,
+                ...refs,
+                dedupeKey: getDedupeKey({ actor: channel, type, ...refs })
+            }))
+        )
+        notifications.forEach((notification) => publish(notification.toObject()))
+        return notifications
+    } catch (error) {
+        console.log("notification failed ", error)
+        return []
+    }
+}
+
+export { notify, notifySubscribers, onNotification }
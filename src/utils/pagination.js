@@ -0,0 +1,12 @@
+// read page and limit from query string
+// keep them positive and cap limit so one request cant pull the whole collection
+const MAX_LIMIT = 50
+
+const getPagination = (query = {}, defaultLimit = 10) => {
+    const page = Math.max(parseInt(query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT)
+
+    return { page, limit }
+}
+
+export { getPagination }
@@ -0,0 +1,55 @@
+// stores for rate limiting and login throttling
+// a store is any object with these async methods:
+//      increment(key, windowMs) -> { count, resetAt }   count hits, window starts at the first hit
+//      get(key)                 -> { count, resetAt } or null
+//      reset(key)               -> forget the key
+// MemoryStore is per process, use something shared (redis...) when running more than one instance
+
+class MemoryStore {
+    constructor(cleanupIntervalMs = 60 * 1000) {
+        this.hits = new Map()
+
+        // drop expired keys so the map doesnt grow forever
+        // unref -> this timer alone does not keep the process alive
+        this.timer = setInterval(() => {
+            const now = Date.now()
+            for (const [key, entry] of this.hits) {
+                if (entry.resetAt <= now) this.hits.delete(key)
+            }
+        }, cleanupIntervalMs)
+        this.timer.unref?.()
+    }
+
+    async increment(key, windowMs) {
+        const now = Date.now()
+        let entry = this.hits.get(key)
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs }
+            this.hits.set(key, entry)
+        }
+
+        entry.count += 1
+        return { ...entry }
+    }
+
+    async get(key) {
+        const entry = this.hits.get(key)
+        if (!entry || entry.resetAt <= Date.now()) return null
+        return { ...entry }
+    }
+
+    async reset(key) {
+        this.hits.delete(key)
+    }
+}
+
+let store = new MemoryStore()
+
+const getRateLimitStore = () => store
+
+const setRateLimitStore = (newStore) => {
+    store = newStore
+}
+
+export { MemoryStore, getRateLimitStore, setRateLimitStore }
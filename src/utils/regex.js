@@ -0,0 +1,4 @@
+// user input goes into $regex so escape special characters
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+export { escapeRegex }
@@ -0,0 +1,99 @@
+// uploaded files go through a storage provider ->
+//      upload(localFilePath, resourceType) -> { url, key, duration? }
+//      delete(url, resourceType)
+//      getUrl(key, resourceType) -> public url of a stored file
+// cloudinary -> default, local -> files are copied into public/uploads and served by express.static
+// pick one with STORAGE_PROVIDER or plug in another one (s3...) with setStorageProvider
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { cloudinaryStorage } from './cloudinary.js'
+
+const LOCAL_UPLOADS_PATH = "uploads"
+
+// dir is what express serves as static (public), baseUrl is prepended to the urls
+// no baseUrl -> urls are relative to the api host ("/uploads/abc.png")
+const createLocalStorage = (dir = "./public", baseUrl = "") => {
+    const uploadsDir = path.resolve(dir, LOCAL_UPLOADS_PATH)
+
+    const getUrl = (key) => `${baseUrl.replace(/\/$/, "")}/${LOCAL_UPLOADS_PATH}/${key}`
+
+    return {
+        upload: async (localFilePath) => {
+            await fs.promises.mkdir(uploadsDir, { recursive: true })
+
+            const key = `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`
+            await fs.promises.copyFile(localFilePath, path.join(uploadsDir, key))
+
+            // no way to read the duration of a video without ffprobe
+            return { url: getUrl(key), key }
+        },
+
+        delete: async (url) => {
+            const key = url?.split(`/${LOCAL_UPLOADS_PATH}/`).pop()
+
+            // only plain file names, never anything outside of the uploads dir
+            if (!key || key !== path.basename(key)) return
+
+            await fs.promises.rm(path.join(uploadsDir, key), { force: true })
+        },
+
+        getUrl
+    }
+}
+
+let provider = null
+
+const getStorageProvider = () => {
+    if (!provider) {
+        provider = process.env.STORAGE_PROVIDER === "local"
+            ? createLocalStorage(process.env.LOCAL_STORAGE_DIR, process.env.LOCAL_STORAGE_BASE_URL)
+            : cloudinaryStorage
+    }
+    return provider
+}
+
+const setStorageProvider = (newProvider) => {
+    provider = newProvider
+}
+
+// returns null when the upload fails
+// the temporary local file is always removed, unless keepLocalFile (jobs that retry need it)
+const uploadFile = async (localFilePath, resourceType = "image", { keepLocalFile = false } = {}) => {
+    if (!localFilePath) return null
+
+    try {
+        return await getStorageProvider().upload(localFilePath, resourceType)
+    } catch (error) {
+        console.log("file upload failed ", error)
+        return null
+    } finally {
+        if (!keepLocalFile) {
+            await fs.promises.rm(localFilePath, { force: true })
+        }
+    }
+}
+
+// a file that could not be deleted should not fail the request that replaced it
+const deleteFile = async (url, resourceType = "image") => {
+    if (!url) return
+
+    try {
+        await getStorageProvider().delete(url, resourceType)
+    } catch (error) {
+        console.log("file delete failed ", error)
+    }
+}
+
+const getFileUrl = (key, resourceType = "image") => getStorageProvider().getUrl(key, resourceType)
+
+export {
+    uploadFile,
+    deleteFile,
+    getFileUrl,
+    getStorageProvider,
+    setStorageProvider,
+    createLocalStorage,
+    cloudinaryStorage
+}
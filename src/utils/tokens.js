@@ -0,0 +1,18 @@
+import crypto from "crypto"
+
+// random tokens sent to the user (email links, refresh tokens)
+// they are long and random so a fast hash is enough, no need for bcrypt
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// token -> sent to the user, hashedToken -> stored in db
+const generateTemporaryToken = (expiryMinutes) => {
+    const token = crypto.randomBytes(32).toString("hex")
+
+    return {
+        token,
+        hashedToken: hashToken(token),
+        tokenExpiry: new Date(Date.now() + expiryMinutes * 60 * 1000)
+    }
+}
+
+export { hashToken, generateTemporaryToken }
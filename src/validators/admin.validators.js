@@ -0,0 +1,14 @@
+// request schemas for admin routes, used with the validate middleware
+
+// checked before the action -> a bad reason can never leave an action without its audit log
+const reason = { type: "string", trim: true, maxLength: 500 }
+
+const moderationSchema = {
+    body: {
+        reason
+    }
+}
+
+export {
+    moderationSchema
+}
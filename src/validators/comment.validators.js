@@ -0,0 +1,22 @@
+// request schemas for comment routes, used with the validate middleware
+
+const content = { type: "string", trim: true, required: true, maxLength: 10000 }
+
+// parentCommentId makes it a reply
+const addCommentSchema = {
+    body: {
+        content,
+        parentCommentId: { type: "objectId" }
+    }
+}
+
+const updateCommentSchema = {
+    body: {
+        content
+    }
+}
+
+export {
+    addCommentSchema,
+    updateCommentSchema
+}
@@ -0,0 +1,28 @@
+// request schemas for playlist routes, used with the validate middleware
+// visibility values are checked by the controller
+
+const name = { type: "string", trim: true, maxLength: 150 }
+const description = { type: "string", trim: true, maxLength: 5000 }
+const visibility = { type: "string" }
+
+const createPlaylistSchema = {
+    body: {
+        name: { ...name, required: true },
+        description: { ...description, required: true },
+        visibility
+    }
+}
+
+// every field is optional, the controller needs at least one of them
+const updatePlaylistSchema = {
+    body: {
+        name,
+        description,
+        visibility
+    }
+}
+
+export {
+    createPlaylistSchema,
+    updatePlaylistSchema
+}
@@ -0,0 +1,12 @@
+// request schemas for tweet routes, used with the validate middleware
+// the length limit is checked by the controller
+
+const tweetSchema = {
+    body: {
+        content: { type: "string", trim: true, required: true }
+    }
+}
+
+export {
+    tweetSchema
+}
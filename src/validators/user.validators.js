@@ -0,0 +1,200 @@
+// request schemas for user routes, used with the validate middleware
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const USERNAME_REGEX = /^[a-zA-Z0-9_.]+$/
+// at least one letter and one number
+const PASSWORD_REGEX = /^(?=.*[a-zA-Z])(?=.*\d).+$/
+
+const email = {
+    type: "string",
+    trim: true,
+    maxLength: 254,
+    pattern: EMAIL_REGEX,
+    message: "email must be a valid email address"
+}
+
+const username = {
+    type: "string",
+    trim: true,
+    minLength: 3,
+    maxLength: 30,
+    pattern: USERNAME_REGEX,
+    message: "username can only contain letters, numbers, underscores and dots"
+}
+
+const fullName = {
+    type: "string",
+    trim: true,
+    minLength: 1,
+    maxLength: 60
+}
+
+// bcrypt only uses the first 72 bytes
+const password = {
+    type: "string",
+    minLength: 8,
+    maxLength: 72,
+    pattern: PASSWORD_REGEX,
+    message: "password must contain at least one letter and one number"
+}
+
+const objectId = { type: "objectId", required: true }
+
+// 6 digit code from the app or a recovery code (xxxxx-xxxxx)
+const twoFactorCode = { type: "string", trim: true, required: true, maxLength: 20 }
+
+const pagination = {
+    page: { type: "number", integer: true, min: 1 },
+    limit: { type: "number", integer: true, min: 1 }
+}
+
+const registerSchema = {
+    body: {
+        fullName: { ...fullName, required: true },
+        email: { ...email, required: true },
+        username: { ...username, required: true },
+        password: { ...password, required: true }
+    },
+    // files are not in the body, multer puts them on req.files
+    refine: [
+        (req) => req.files?.avatar?.[0]
+            ? null
+            : { field: "avatar", location: "body", message: "avatar file is required" }
+    ]
+}
+
+const loginSchema = {
+    body: {
+        username: { type: "string", trim: true },
+        email: { type: "string", trim: true },
+        password: { type: "string", required: true }
+    },
+    refine: [
+        (req) => req.body?.username || req.body?.email
+            ? null
+            : { field: "username", location: "body", message: "username or email is required" }
+    ]
+}
+
+const changePasswordSchema = {
+    body: {
+        oldPassword: { type: "string", required: true },
+        newPassword: { ...password, required: true }
+    }
+}
+
+const updateAccountSchema = {
+    body: {
+        fullName,
+        email
+    },
+    refine: [
+        (req) => req.body?.fullName || req.body?.email
+            ? null
+            : { field: "fullName", location: "body", message: "fullName or email is required" }
+    ]
+}
+
+// no charset check here, accounts created before these rules may not match it
+const channelProfileSchema = {
+    params: {
+        username: { type: "string", required: true }
+    }
+}
+
+const watchHistorySchema = {
+    query: {
+        ...pagination,
+        groupBy: { type: "string", oneOf: ["day"] },
+        timezone: { type: "string", maxLength: 64 }
+    }
+}
+
+const watchHistoryEntrySchema = {
+    params: {
+        videoId: objectId
+    }
+}
+
+const watchPositionSchema = {
+    params: {
+        videoId: objectId
+    },
+    body: {
+        position: { type: "number", required: true, min: 0 }
+    }
+}
+
+const watchHistoryPauseSchema = {
+    body: {
+        paused: { type: "boolean" }
+    }
+}
+
+const verifyEmailSchema = {
+    body: {
+        token: { type: "string", trim: true, required: true }
+    }
+}
+
+const forgotPasswordSchema = {
+    body: {
+        email: { ...email, required: true }
+    }
+}
+
+const resetPasswordSchema = {
+    body: {
+        token: { type: "string", trim: true, required: true },
+        newPassword: { ...password, required: true }
+    }
+}
+
+const sessionSchema = {
+    params: {
+        sessionId: objectId
+    }
+}
+
+const twoFactorLoginSchema = {
+    body: {
+        challengeToken: { type: "string", trim: true, required: true },
+        code: twoFactorCode
+    }
+}
+
+const twoFactorEnableSchema = {
+    body: {
+        code: {
+            ...twoFactorCode,
+            pattern: /^\d{6}$/,
+            message: "code must be the 6 digit code from your authenticator app"
+        }
+    }
+}
+
+const twoFactorDisableSchema = {
+    body: {
+        password: { type: "string", required: true },
+        code: twoFactorCode
+    }
+}
+
+export {
+    registerSchema,
+    loginSchema,
+    changePasswordSchema,
+    updateAccountSchema,
+    channelProfileSchema,
+    watchHistorySchema,
+    watchHistoryEntrySchema,
+    watchPositionSchema,
+    watchHistoryPauseSchema,
+    verifyEmailSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    sessionSchema,
+    twoFactorLoginSchema,
+    twoFactorEnableSchema,
+    twoFactorDisableSchema
+}
@@ -0,0 +1,35 @@
+// request schemas for video routes, used with the validate middleware
+// multipart routes validate after multer, the body is only parsed there
+
+const title = { type: "string", trim: true, maxLength: 100 }
+const description = { type: "string", trim: true, maxLength: 5000 }
+
+const publishVideoSchema = {
+    body: {
+        title: { ...title, required: true },
+        description: { ...description, required: true }
+    }
+}
+
+// resumable uploads -> only the types, mimeType and size have their own status codes in the controller
+const initiateVideoUploadSchema = {
+    body: {
+        fileName: { type: "string", trim: true, required: true, maxLength: 255 },
+        mimeType: { type: "string" },
+        checksum: { type: "string" }
+    }
+}
+
+// every field is optional, the controller needs at least one of them or a thumbnail
+const updateVideoSchema = {
+    body: {
+        title,
+        description
+    }
+}
+
+export {
+    publishVideoSchema,
+    updateVideoSchema,
+    initiateVideoUploadSchema
+}
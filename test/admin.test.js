@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { AuditLog } from "../src/models/auditLog.models.js"
+import { Session } from "../src/models/session.models.js"
+import { User } from "../src/models/user.models.js"
+import { Video } from "../src/models/video.models.js"
+import { validate } from "../src/middlewares/validate.middleware.js"
+import { moderationSchema } from "../src/validators/admin.validators.js"
+import { suspendUser, unlockVideo, unpublishVideo } from "../src/controllers/admin.controller.js"
+import { togglePublishStatus } from "../src/controllers/video.controller.js"
+import { mockModel } from "./helpers/memoryModel.js"
+import { callRoute } from "./helpers/routes.js"
+
+describe("admin moderation", () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" }
+    let users, auditLogs, target
+
+    beforeEach(async () => {
+        users = mockModel(User)
+        auditLogs = mockModel(AuditLog)
+        mockModel(Session)
+
+        target = await User.create({
+            username: "jane",
+            email: "jane@example.com",
+            fullName: "Jane",
+            avatar: "avatar.jpg",
+            password: "hash"
+        })
+    })
+
+    afterEach(() => {
+        mock.restoreAll()
+    })
+
+    const suspend = (body) => callRoute([validate(moderationSchema), suspendUser], {
+        user: admin,
+        ip: "10.0.0.1",
+        params: { userId: String(target._id) },
+        body
+    })
+
+    it("suspends the user and logs the action with its reason", async () => {
+        const { status } = await suspend({ days: 7, reason: "  spam  " })
+
+        assert.equal(status, 200)
+        assert.equal(users.docs[0].status, "suspended")
+        assert.equal(auditLogs.docs.length, 1)
+        assert.equal(auditLogs.docs[0].action, "user.suspend")
+        assert.equal(auditLogs.docs[0].reason, "spam")
+    })
+
+    it("rejects a reason that is not a string before changing anything", async () => {
+        for (const reason of [{ text: "spam" }, ["spam"], 42, "x".repeat(501)]) {
+            const { error } = await suspend({ days: 7, reason })
+
+            assert.equal(error.statusCode, 422)
+            assert.equal(error.errors[0].field, "reason")
+        }
+
+        assert.equal(users.docs[0].status, "active")
+        assert.equal(auditLogs.docs.length, 0)
+    })
+
+    it("does not act when the audit log cannot be written", async () => {
+        AuditLog.create.mock.mockImplementation(async () => {
+            throw new Error("mongo is down")
+        })
+
+        const { error } = await suspend({ days: 7 })
+
+        assert.match(error.message, /mongo is down/)
+        assert.equal(users.docs[0].status, "active")
+    })
+})
+
+describe("moderation lock", () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), role: "admin" }
+    const owner = { _id: new mongoose.Types.ObjectId(), role: "user" }
+    let videos, video
+
+    beforeEach(async () => {
+        videos = mockModel(Video)
+        mockModel(AuditLog)
+
+        video = await Video.create({
+            title: "clip",
+            description: "a clip",
+            videoFile: "/uploads/clip.mp4",
+            thumbnail: "/uploads/clip.jpeg",
+            owner: owner._id
+        })
+    })
+
+    afterEach(() => {
+        mock.restoreAll()
+    })
+
+    const asAdmin = (handler) => callRoute([validate(moderationSchema), handler], {
+        user: admin,
+        params: { videoId: String(video._id) },
+        body: { reason: "copyright" }
+    })
+
+    const toggle = (user) => callRoute([togglePublishStatus], {
+        user,
+        params: { videoId: String(video._id) }
+    })
+
+    it("keeps the owner from publishing a video a moderator unpublished", async () => {
+        await asAdmin(unpublishVideo)
+
+        const { error } = await toggle(owner)
+
+        assert.equal(error.statusCode, 403)
+        assert.equal(videos.docs[0].isPublished, false)
+        assert.equal(videos.docs[0].moderationLocked, true)
+    })
+
+    it("keeps the lock for a video that is still processing", async () => {
+        await Video.updateOne({}, { $set: { processingStatus: "processing", publishOnReady: true } })
+        await asAdmin(unpublishVideo)
+
+        const { error } = await toggle(owner)
+
+        assert.equal(error.statusCode, 403)
+        assert.equal(videos.docs[0].publishOnReady, false)
+    })
+
+    it("lets the owner publish again once an admin unlocked it", async () => {
+        await asAdmin(unpublishVideo)
+        const { status } = await asAdmin(unlockVideo)
+
+        const { body } = await toggle(owner)
+
+        assert.equal(status, 200)
+        assert.equal(body.data.isPublished, true)
+        assert.equal(videos.docs[0].isPublished, true)
+    })
+})
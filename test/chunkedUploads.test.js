@@ -0,0 +1,273 @@
+import { after, afterEach, before, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import crypto from "crypto"
+import mongoose from "mongoose"
+import { UploadSession } from "../src/models/uploadSession.models.js"
+import { Video } from "../src/models/video.models.js"
+import { Job } from "../src/models/job.models.js"
+import { assembleChunks, removeChunks, sha256, writeChunk } from "../src/utils/chunkedUploads.js"
+import { completeVideoUpload, uploadVideoChunk } from "../src/controllers/video.controller.js"
+import { mockModel } from "./helpers/memoryModel.js"
+import { callHandler } from "./helpers/routes.js"
+
+const CHUNK_SIZE = 16
+
+// starts like an mp4 so it passes the video sniffing
+const createVideoBytes = (size) => {
+    const bytes = crypto.randomBytes(size)
+    Buffer.from([0, 0, 0, 0x18]).copy(bytes, 0)
+    Buffer.from("ftypmp42").copy(bytes, 4)
+    return bytes
+}
+
+const splitChunks = (bytes) =>
+    Array.from({ length: Math.ceil(bytes.length / CHUNK_SIZE) }, (_, index) =>
+        bytes.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE)
+    )
+
+const exists = (filePath) => fs.promises.access(filePath).then(() => true, () => false)
+
+describe("chunked uploads", () => {
+    let workDir
+
+    // chunks and assembled files go to ./public/temp -> keep them out of the repo
+    before(async () => {
+        workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "chunked-uploads-"))
+        process.chdir(workDir)
+    })
+
+    after(async () => {
+        await fs.promises.rm(workDir, { recursive: true, force: true })
+    })
+
+    describe("assembleChunks", () => {
+        it("joins the chunks in index order whatever order they arrived in", async () => {
+            const session = { _id: new mongoose.Types.ObjectId(), fileName: "clip.MP4", totalChunks: 3 }
+            const bytes = createVideoBytes(CHUNK_SIZE * 2 + 5)
+            const chunks = splitChunks(bytes)
+
+            await writeChunk(session._id, 2, chunks[2])
+            await writeChunk(session._id, 0, chunks[0])
+            await writeChunk(session._id, 1, chunks[1])
+
+            const file = await assembleChunks(session)
+
+            assert.equal(path.extname(file.path), ".mp4")
+            assert.equal(file.size, bytes.length)
+            assert.equal(file.checksum, sha256(bytes))
+            assert.deepEqual(await fs.promises.readFile(file.path), bytes)
+        })
+
+        it("uses the last copy of a chunk that was sent twice", async () => {
+            const session = { _id: new mongoose.Types.ObjectId(), fileName: "clip.mp4", totalChunks: 1 }
+            const bytes = createVideoBytes(CHUNK_SIZE)
+
+            await writeChunk(session._id, 0, Buffer.alloc(CHUNK_SIZE))
+            await writeChunk(session._id, 0, bytes)
+
+            const file = await assembleChunks(session)
+
+            assert.equal(file.checksum, sha256(bytes))
+            assert.deepEqual(
+                (await fs.promises.readdir(path.join("public/temp/uploads", String(session._id)))),
+                ["0.part"]
+            )
+        })
+
+        it("fails on a missing chunk and leaves no partial file", async () => {
+            const session = { _id: new mongoose.Types.ObjectId(), fileName: "clip.mp4", totalChunks: 2 }
+            await writeChunk(session._id, 0, createVideoBytes(CHUNK_SIZE))
+
+            await assert.rejects(assembleChunks(session), { code: "ENOENT" })
+            assert.equal(await exists(`public/temp/${session._id}.mp4`), false)
+        })
+
+        it("removeChunks deletes every chunk of the upload", async () => {
+            const uploadId = new mongoose.Types.ObjectId()
+            await writeChunk(uploadId, 0, Buffer.alloc(1))
+
+            await removeChunks(uploadId)
+
+            assert.equal(await exists(path.join("public/temp/uploads", String(uploadId))), false)
+        })
+    })
+
+    describe("upload endpoints", () => {
+        const owner = new mongoose.Types.ObjectId()
+        let sessions, videos, jobs, thumbnailPath
+
+        const createSession = async (bytes, data = {}) => UploadSession.create({
+            owner,
+            fileName: "clip.mp4",
+            mimeType: "video/mp4",
+            size: bytes.length,
+            chunkSize: CHUNK_SIZE,
+            totalChunks: Math.ceil(bytes.length / CHUNK_SIZE),
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+            ...data
+        })
+
+        const sendChunk = (session, index, chunk, checksum = sha256(chunk)) => callHandler(uploadVideoChunk, {
+            params: { uploadId: String(session._id), index: String(index) },
+            body: chunk,
+            header: (name) => (name === "X-Chunk-Checksum" ? checksum : undefined),
+            user: { _id: owner }
+        })
+
+        const complete = (session, userId = owner) => callHandler(completeVideoUpload, {
+            params: { uploadId: String(session._id) },
+            body: { title: "clip", description: "a clip" },
+            file: { path: thumbnailPath },
+            user: { _id: userId }
+        })
+
+        beforeEach(async () => {
+            sessions = mockModel(UploadSession)
+            videos = mockModel(Video)
+            jobs = mockModel(Job)
+
+            // the upload middleware would have stored the thumbnail here
+            await fs.promises.mkdir("public/temp", { recursive: true })
+            thumbnailPath = path.join("public/temp", `${crypto.randomUUID()}.jpg`)
+            await fs.promises.writeFile(thumbnailPath, Buffer.from([0xff, 0xd8, 0xff, 0xe0]))
+        })
+
+        afterEach(() => {
+            mock.restoreAll()
+        })
+
+        it("records a chunk whose size and checksum match", async () => {
+            const chunks = splitChunks(createVideoBytes(CHUNK_SIZE + 4))
+            const session = await createSession(Buffer.concat(chunks))
+
+            const { status, body } = await sendChunk(session, 1, chunks[1])
+
+            assert.equal(status, 200)
+            assert.deepEqual(body.data.receivedChunks, [1])
+            assert.deepEqual(body.data.missingChunks, [0])
+        })
+
+        it("rejects a chunk that was corrupted on the way", async () => {
+            const chunks = splitChunks(createVideoBytes(CHUNK_SIZE * 2))
+            const session = await createSession(Buffer.concat(chunks))
+
+            const { error } = await sendChunk(session, 0, chunks[0], sha256(chunks[1]))
+
+            assert.equal(error.statusCode, 422)
+            assert.deepEqual(sessions.docs[0].receivedChunks, [])
+        })
+
+        it("rejects a chunk of the wrong size", async () => {
+            const chunks = splitChunks(createVideoBytes(CHUNK_SIZE * 2))
+            const session = await createSession(Buffer.concat(chunks))
+
+            const { error } = await sendChunk(session, 0, chunks[0].subarray(1))
+
+            assert.equal(error.statusCode, 400)
+        })
+
+        it("refuses to complete while chunks are missing", async () => {
+            const chunks = splitChunks(createVideoBytes(CHUNK_SIZE * 3))
+            const session = await createSession(Buffer.concat(chunks))
+            await sendChunk(session, 0, chunks[0])
+            await sendChunk(session, 2, chunks[2])
+
+            const { error } = await complete(session)
+
+            assert.equal(error.statusCode, 409)
+            assert.match(error.errors[0].message, /missing chunks 1/)
+            assert.equal(sessions.docs[0].status, "uploading")
+            assert.equal(videos.docs.length, 0)
+        })
+
+        it("creates the video and hands the files to the processing job", async () => {
+            const bytes = createVideoBytes(CHUNK_SIZE * 2 + 3)
+            const session = await createSession(bytes, { checksum: sha256(bytes) })
+            for (const [index, chunk] of splitChunks(bytes).entries()) {
+                await sendChunk(session, index, chunk)
+            }
+
+            const { status, body } = await complete(session)
+
+            assert.equal(status, 201)
+            assert.equal(body.data.processingStatus, "queued")
+            assert.equal(body.data.isPublished, false)
+            assert.equal(videos.docs.length, 1)
+
+            const [job] = jobs.docs
+            assert.equal(job.type, "video.process")
+            assert.equal(job.payload.videoId, String(videos.docs[0]._id))
+            assert.deepEqual(await fs.promises.readFile(job.payload.videoPath), bytes)
+            assert.equal(await exists(job.payload.thumbnailPath), true)
+
+            // session and chunks are gone, the assembled file was moved to the job
+            assert.equal(sessions.docs.length, 0)
+            assert.equal(await exists(path.join("public/temp/uploads", String(session._id))), false)
+            assert.equal(await exists(`public/temp/${session._id}.mp4`), false)
+        })
+
+        it("keeps the chunks when the assembled file does not match the checksum", async () => {
+            const bytes = createVideoBytes(CHUNK_SIZE * 2)
+            const session = await createSession(bytes, { checksum: sha256(Buffer.from("something else")) })
+            for (const [index, chunk] of splitChunks(bytes).entries()) {
+                await sendChunk(session, index, chunk)
+            }
+
+            const { error } = await complete(session)
+
+            assert.equal(error.statusCode, 422)
+            assert.equal(sessions.docs[0].status, "uploading")
+            assert.equal(videos.docs.length, 0)
+            assert.equal(jobs.docs.length, 0)
+            assert.equal(await exists(`public/temp/${session._id}.mp4`), false)
+            assert.equal(await exists(path.join("public/temp/uploads", String(session._id), "1.part")), true)
+        })
+
+        it("rejects files that are not videos", async () => {
+            const bytes = crypto.randomBytes(CHUNK_SIZE)
+            const session = await createSession(bytes)
+            await sendChunk(session, 0, bytes)
+
+            const { error } = await complete(session)
+
+            assert.equal(error.statusCode, 415)
+            assert.equal(sessions.docs[0].status, "uploading")
+        })
+
+        it("lets only one request complete the upload", async () => {
+            const bytes = createVideoBytes(CHUNK_SIZE)
+            const session = await createSession(bytes)
+            await sendChunk(session, 0, bytes)
+
+            const results = await Promise.all([complete(session), complete(session)])
+
+            assert.deepEqual(
+                results.map((result) => result.status || result.error.statusCode).sort(),
+                [201, 409]
+            )
+            assert.equal(videos.docs.length, 1)
+            assert.equal(jobs.docs.length, 1)
+        })
+
+        it("does not accept chunks while the upload is being completed", async () => {
+            const bytes = createVideoBytes(CHUNK_SIZE)
+            const session = await createSession(bytes, { status: "assembling", receivedChunks: [0] })
+
+            const { error } = await sendChunk(session, 0, bytes)
+
+            assert.equal(error.statusCode, 409)
+        })
+
+        it("hides uploads of other users and expired ones", async () => {
+            const bytes = createVideoBytes(CHUNK_SIZE)
+            const session = await createSession(bytes, { receivedChunks: [0] })
+            const expired = await createSession(bytes, { receivedChunks: [0], expiresAt: new Date(Date.now() - 1000) })
+
+            assert.equal((await complete(session, new mongoose.Types.ObjectId())).error.statusCode, 404)
+            assert.equal((await complete(expired)).error.statusCode, 404)
+        })
+    })
+})
@@ -0,0 +1,263 @@
+// in memory stand in for a mongoose model, there is no mongo server in tests
+// filters are matched with sift (what mongoose itself uses), updates support the operators the code uses
+// every call is atomic like a single document operation in mongo
+// unique indexes of the schema are enforced -> a duplicate insert throws an error with code 11000
+
+import { mock } from "node:test"
+import sift from "sift"
+import { isDeepStrictEqual } from "util"
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc)
+
+const setPath = (doc, path, value) => {
+    const keys = path.split(".")
+    const last = keys.pop()
+    const parent = keys.reduce((value, key) => (value[key] ??= {}), doc)
+    parent[last] = value
+}
+
+const unsetPath = (doc, path) => {
+    const keys = path.split(".")
+    const last = keys.pop()
+    const parent = keys.reduce((value, key) => value?.[key], doc)
+    if (parent) delete parent[last]
+}
+
+// aggregation expressions the pipeline updates use -> "$field", $eq, $ne, $or, anything else is a literal
+const evaluate = (doc, expression) => {
+    if (typeof expression === "string" && expression.startsWith("$")) return getPath(doc, expression.slice(1))
+    if (expression?.constructor !== Object) return expression
+
+    const [operator] = Object.keys(expression)
+    const args = [].concat(expression[operator]).map((arg) => evaluate(doc, arg))
+
+    switch (operator) {
+        case "$eq": return args[0] === args[1]
+        case "$ne": return args[0] !== args[1]
+        case "$or": return args.some(Boolean)
+        default: return expression
+    }
+}
+
+// pipeline updates -> $set with the expressions above and $unset
+const applyPipeline = (doc, stages) => {
+    for (const stage of stages) {
+        // every value of a stage is read from the document before the stage
+        const values = Object.entries(stage.$set || {}).map(([path, value]) => [path, evaluate(doc, value)])
+        for (const [path, value] of values) {
+            setPath(doc, path, value)
+        }
+        for (const path of [].concat(stage.$unset || [])) {
+            unsetPath(doc, path)
+        }
+    }
+}
+
+// isNew -> the document is inserted by an upsert, $setOnInsert applies
+const applyUpdate = (doc, update, isNew = false) => {
+    if (Array.isArray(update)) return applyPipeline(doc, update)
+
+    if (isNew) {
+        for (const [path, value] of Object.entries(update.$setOnInsert || {})) {
+            setPath(doc, path, value)
+        }
+    }
+
+    for (const [path, value] of Object.entries(update.$set || {})) {
+        setPath(doc, path, value)
+    }
+    for (const [path, value] of Object.entries(update.$inc || {})) {
+        setPath(doc, path, (getPath(doc, path) || 0) + value)
+    }
+    for (const path of Object.keys(update.$unset || {})) {
+        unsetPath(doc, path)
+    }
+    for (const [path, value] of Object.entries(update.$addToSet || {})) {
+        const values = getPath(doc, path) || []
+        if (!values.some((existing) => String(existing) === String(value))) {
+            setPath(doc, path, [...values, value])
+        }
+    }
+}
+
+// copies plain objects and arrays, ObjectIds and dates are shared
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone)
+    if (value?.constructor === Object) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]))
+    return value
+}
+
+const compareBy = (sort) => (a, b) => {
+    for (const [path, direction] of Object.entries(sort)) {
+        const left = getPath(a, path)
+        const right = getPath(b, path)
+        if (left < right) return -direction
+        if (left > right) return direction
+    }
+    return 0
+}
+
+// findOne(...).select(...).lean() -> the projection is ignored, tests read the fields they asked for
+const queryOf = (promise) => ({
+    select() { return this },
+    lean() {
+        return queryOf(promise.then((document) => document?.toObject() ?? null))
+    },
+    then: (resolve, reject) => promise.then(resolve, reject)
+})
+
+// replaces the model methods with ones working on docs, restored by mock.restoreAll()
+const mockModel = (Model, initialDocs = []) => {
+    const docs = []
+
+    const toRaw = (data) => new Model(data).toObject()
+    const toDocument = (raw) => Model.hydrate(toRaw(raw))
+
+    const findRaw = (filter = {}, sort = {}) => docs.filter(sift(filter)).sort(compareBy(sort))
+
+    const uniqueIndexes = Model.schema.indexes().filter(([, options]) => options.unique)
+
+    // raw is checked against every other document, like mongo does on insert and update
+    // replaced -> the stored document raw is the new version of
+    const checkUnique = (raw, replaced = raw) => {
+        for (const [fields, { partialFilterExpression }] of uniqueIndexes) {
+            const inIndex = partialFilterExpression ? sift(partialFilterExpression) : () => true
+            if (!inIndex(raw)) continue
+
+            const key = (doc) => JSON.stringify(Object.keys(fields).map((path) => getPath(doc, path) ?? null))
+            const duplicate = docs.some((doc) => doc !== replaced && inIndex(doc) && key(doc) === key(raw))
+
+            if (duplicate) {
+                throw Object.assign(new Error(`E11000 duplicate key error on ${Object.keys(fields).join(", ")}`), { code: 11000 })
+            }
+        }
+    }
+
+    const insertRaw = (raw) => {
+        checkUnique(raw)
+        docs.push(raw)
+        return raw
+    }
+
+    // the update is applied to a copy, stored only when it doesnt break a unique index
+    const updateRaw = (raw, update) => {
+        const updated = clone(raw)
+        applyUpdate(updated, update)
+        checkUnique(updated, raw)
+
+        docs[docs.indexOf(raw)] = updated
+        return { updated, modified: !isDeepStrictEqual(raw, updated) }
+    }
+
+    const create = async (data) => {
+        if (Array.isArray(data)) return Promise.all(data.map(create))
+
+        return toDocument(insertRaw(toRaw(data)))
+    }
+
+    mock.method(Model, "create", create)
+
+    const findOne = async (filter) => {
+        const [raw] = findRaw(filter)
+        return raw ? toDocument(raw) : null
+    }
+
+    mock.method(Model, "findOne", (filter) => queryOf(findOne(filter)))
+    mock.method(Model, "findById", (id) => queryOf(findOne({ _id: id })))
+
+    // document.save() -> replaces the stored copy, or adds it when it is new
+    mock.method(Model.prototype, "save", async function () {
+        const raw = this.toObject()
+        const index = docs.findIndex((existing) => String(existing._id) === String(raw._id))
+
+        if (index === -1) {
+            insertRaw(raw)
+        } else {
+            checkUnique(raw, docs[index])
+            docs[index] = raw
+        }
+
+        this.isNew = false
+        return this
+    })
+
+    mock.method(Model, "exists", async (filter) => {
+        const [raw] = findRaw(filter)
+        return raw ? { _id: raw._id } : null
+    })
+
+    // upsert inserts the plain values of the filter with the update applied, like mongo does
+    const upsertRaw = (filter, update) => {
+        const raw = toRaw(Object.fromEntries(
+            Object.entries(filter).filter(([key, value]) =>
+                !key.startsWith("$") && !(value?.constructor === Object && Object.keys(value).some((op) => op.startsWith("$")))
+            )
+        ))
+        applyUpdate(raw, update, true)
+        return insertRaw(raw)
+    }
+
+    const findOneAndUpdate = async (filter, update, options = {}) => {
+        const [raw] = findRaw(filter, options.sort)
+
+        if (!raw && options.upsert) {
+            const inserted = upsertRaw(filter, update)
+            return options.new ? toDocument(inserted) : null
+        }
+
+        if (!raw) return null
+
+        const { updated } = updateRaw(raw, update)
+        return toDocument(options.new ? updated : raw)
+    }
+
+    mock.method(Model, "findOneAndUpdate", (...args) => queryOf(findOneAndUpdate(...args)))
+
+    // same result shape as mongoose
+    mock.method(Model, "updateOne", async (filter, update, options = {}) => {
+        const [raw] = findRaw(filter)
+
+        if (!raw && options.upsert) {
+            const inserted = upsertRaw(filter, update)
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id }
+        }
+
+        if (!raw) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null }
+
+        const { modified } = updateRaw(raw, update)
+        return { matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0, upsertedId: null }
+    })
+
+    mock.method(Model, "deleteOne", async (filter) => {
+        const [raw] = findRaw(filter)
+        if (raw) docs.splice(docs.indexOf(raw), 1)
+        return { deletedCount: raw ? 1 : 0 }
+    })
+
+    mock.method(Model, "deleteMany", async (filter) => {
+        const removed = findRaw(filter)
+        for (const raw of removed) {
+            docs.splice(docs.indexOf(raw), 1)
+        }
+        return { deletedCount: removed.length }
+    })
+
+    mock.method(Model, "findOneAndDelete", async (filter) => {
+        const [raw] = findRaw(filter)
+        if (!raw) return null
+
+        docs.splice(docs.indexOf(raw), 1)
+        return toDocument(raw)
+    })
+
+    for (const data of initialDocs) {
+        insertRaw(toRaw(data))
+    }
+
+    return {
+        docs,
+        find: (filter) => findRaw(filter)
+    }
+}
+
+export { mockModel }
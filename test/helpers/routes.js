@@ -0,0 +1,35 @@
+// calls route handlers without an http server
+
+// runs the handlers like express does -> in order, a thrown error or next(error) ends the route
+// resolves with { status, body } once a handler responds, { error } otherwise
+// asyncHandler does not return its promise -> waits for the response or for next(error)
+const callRoute = (handlers, req) => new Promise((resolve) => {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code
+            return this
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body })
+        }
+    }
+
+    const request = { header: () => undefined, params: {}, query: {}, ...req }
+
+    const runFrom = (index) => (error) => {
+        if (error) return resolve({ error })
+
+        try {
+            handlers[index](request, res, runFrom(index + 1))
+        } catch (thrown) {
+            resolve({ error: thrown })
+        }
+    }
+
+    runFrom(0)()
+})
+
+const callHandler = (handler, req) => callRoute([handler], req)
+
+export { callRoute, callHandler }
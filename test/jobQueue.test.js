@@ -0,0 +1,216 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import { Job } from "../src/models/job.models.js"
+import { claimNextJob, enqueueJob, registerJobHandler, runJob } from "../src/utils/jobQueue.js"
+import {
+    JOB_BACKOFF_BASE_SECONDS,
+    JOB_BACKOFF_MAX_SECONDS,
+    JOB_LOCK_TIMEOUT_MINUTES
+} from "../src/constants.js"
+import { mockModel } from "./helpers/memoryModel.js"
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000)
+
+describe("job queue", () => {
+    let jobs
+
+    beforeEach(() => {
+        jobs = mockModel(Job)
+    })
+
+    afterEach(() => {
+        mock.restoreAll()
+    })
+
+    describe("enqueueJob", () => {
+        it("refuses job types without a handler", () => {
+            assert.throws(() => enqueueJob("test.unknown"), /no handler registered/)
+        })
+
+        it("saves the job as queued and due now", async () => {
+            registerJobHandler("test.noop", async () => {})
+
+            const job = await enqueueJob("test.noop", { value: 1 })
+
+            assert.equal(job.status, "queued")
+            assert.equal(job.attempts, 0)
+            assert.ok(job.runAt <= new Date())
+            assert.deepEqual(jobs.docs[0].payload, { value: 1 })
+        })
+    })
+
+    describe("claimNextJob", () => {
+        it("claims the oldest due job and locks it", async () => {
+            await Job.create([
+                { type: "test.noop", runAt: minutesAgo(1) },
+                { type: "test.noop", runAt: minutesAgo(5) },
+                { type: "test.noop", runAt: new Date(Date.now() + 60 * 1000) }
+            ])
+
+            const job = await claimNextJob()
+
+            assert.equal(job.runAt.getTime(), jobs.docs[1].runAt.getTime())
+            assert.equal(job.status, "running")
+            assert.equal(job.attempts, 1)
+            assert.ok(job.lockedAt)
+        })
+
+        it("never hands the same job to two workers", async () => {
+            await Job.create({ type: "test.noop", runAt: minutesAgo(1) })
+
+            const [first, second] = await Promise.all([claimNextJob(), claimNextJob()])
+
+            assert.ok(first)
+            assert.equal(second, null)
+        })
+
+        it("leaves jobs that are not due yet", async () => {
+            await Job.create({ type: "test.noop", runAt: new Date(Date.now() + 60 * 1000) })
+
+            assert.equal(await claimNextJob(), null)
+        })
+
+        it("leaves running jobs alone until their lock times out", async () => {
+            await Job.create({
+                type: "test.noop",
+                status: "running",
+                attempts: 1,
+                lockedAt: minutesAgo(JOB_LOCK_TIMEOUT_MINUTES - 1)
+            })
+
+            assert.equal(await claimNextJob(), null)
+        })
+
+        it("picks up a running job whose worker died", async () => {
+            await Job.create({
+                type: "test.noop",
+                status: "running",
+                attempts: 1,
+                lockedAt: minutesAgo(JOB_LOCK_TIMEOUT_MINUTES + 1)
+            })
+
+            const job = await claimNextJob()
+
+            assert.equal(job.status, "running")
+            assert.equal(job.attempts, 2)
+            assert.ok(job.lockedAt > minutesAgo(1))
+        })
+
+        it("never claims completed or dead jobs", async () => {
+            await Job.create([
+                { type: "test.noop", status: "completed", runAt: minutesAgo(1) },
+                { type: "test.noop", status: "dead", runAt: minutesAgo(1) }
+            ])
+
+            assert.equal(await claimNextJob(), null)
+        })
+    })
+
+    describe("runJob", () => {
+        it("marks a successful job completed and unlocks it", async () => {
+            const handler = mock.fn(async () => {})
+            registerJobHandler("test.success", handler)
+            await Job.create({ type: "test.success", payload: { value: 1 } })
+
+            await runJob(await claimNextJob())
+
+            assert.equal(handler.mock.callCount(), 1)
+            assert.deepEqual(handler.mock.calls[0].arguments[0], { value: 1 })
+            assert.equal(jobs.docs[0].status, "completed")
+            assert.equal(jobs.docs[0].lockedAt, undefined)
+            assert.ok(jobs.docs[0].finishedAt)
+        })
+
+        it("queues a failed job again with exponential backoff", async () => {
+            registerJobHandler("test.failing", async () => {
+                throw new Error("storage is down")
+            })
+            await Job.create({ type: "test.failing", attempts: 2, maxAttempts: 5 })
+
+            const before = Date.now()
+            await runJob(await claimNextJob())
+
+            const [job] = jobs.docs
+            const delaySeconds = (job.runAt.getTime() - before) / 1000
+            const expected = JOB_BACKOFF_BASE_SECONDS * 2 ** 2
+
+            assert.equal(job.status, "queued")
+            assert.equal(job.attempts, 3)
+            assert.equal(job.lastError, "storage is down")
+            assert.equal(job.lockedAt, undefined)
+            assert.ok(delaySeconds >= expected && delaySeconds < expected + 1, `waited ${delaySeconds}s`)
+        })
+
+        it("caps the backoff", async () => {
+            registerJobHandler("test.failing", async () => {
+                throw new Error("storage is down")
+            })
+            await Job.create({ type: "test.failing", attempts: 30, maxAttempts: 50 })
+
+            const before = Date.now()
+            await runJob(await claimNextJob())
+
+            const delaySeconds = (jobs.docs[0].runAt.getTime() - before) / 1000
+            assert.ok(delaySeconds < JOB_BACKOFF_MAX_SECONDS + 1)
+            assert.ok(delaySeconds >= JOB_BACKOFF_MAX_SECONDS)
+        })
+
+        it("moves a job to the dead letters after its last attempt", async () => {
+            const onDead = mock.fn(async () => {})
+            registerJobHandler("test.failing", async () => {
+                throw new Error("storage is down")
+            }, { onDead })
+            await Job.create({ type: "test.failing", attempts: 2, maxAttempts: 3, payload: { value: 1 } })
+
+            await runJob(await claimNextJob())
+
+            const [job] = jobs.docs
+            assert.equal(job.status, "dead")
+            assert.equal(job.lastError, "storage is down")
+            assert.ok(job.finishedAt)
+
+            assert.equal(onDead.mock.callCount(), 1)
+            const [payload, deadJob] = onDead.mock.calls[0].arguments
+            assert.deepEqual(payload, { value: 1 })
+            assert.equal(deadJob.lastError, "storage is down")
+            assert.equal(deadJob.attempts, 3)
+        })
+
+        it("does not run a dead job again", async () => {
+            registerJobHandler("test.failing", async () => {
+                throw new Error("storage is down")
+            })
+            await Job.create({ type: "test.failing", attempts: 0, maxAttempts: 1 })
+
+            await runJob(await claimNextJob())
+
+            assert.equal(jobs.docs[0].status, "dead")
+            assert.equal(await claimNextJob(), null)
+        })
+
+        it("keeps the job dead when onDead fails", async () => {
+            mock.method(console, "log", () => {})
+            registerJobHandler("test.failing", async () => {
+                throw new Error("storage is down")
+            }, {
+                onDead: async () => {
+                    throw new Error("cleanup failed")
+                }
+            })
+            await Job.create({ type: "test.failing", attempts: 0, maxAttempts: 1 })
+
+            await runJob(await claimNextJob())
+
+            assert.equal(jobs.docs[0].status, "dead")
+        })
+
+        it("fails jobs whose handler is gone", async () => {
+            await Job.create({ type: "test.removed", attempts: 0, maxAttempts: 1 })
+
+            await runJob(await claimNextJob())
+
+            assert.equal(jobs.docs[0].status, "dead")
+            assert.match(jobs.docs[0].lastError, /no handler registered/)
+        })
+    })
+})
@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { Comment } from "../src/models/comment.models.js"
+import { Like } from "../src/models/like.models.js"
+import { Notification } from "../src/models/notification.models.js"
+import { User } from "../src/models/user.models.js"
+import { Video } from "../src/models/video.models.js"
+import { toggleCommentLike } from "../src/controllers/like.controller.js"
+import { mockModel } from "./helpers/memoryModel.js"
+import { callHandler } from "./helpers/routes.js"
+
+describe("comment likes", () => {
+    const videoOwner = new mongoose.Types.ObjectId()
+    const viewer = { _id: new mongoose.Types.ObjectId() }
+    let likes, notifications, video, comment
+
+    beforeEach(async () => {
+        mockModel(Video)
+        mockModel(Comment)
+        likes = mockModel(Like)
+        notifications = mockModel(Notification)
+        mockModel(User)
+        mock.method(Like, "countDocuments", async (filter) => likes.find(filter).length)
+
+        const commenter = await User.create({
+            username: "jane",
+            email: "jane@example.com",
+            fullName: "Jane",
+            avatar: "avatar.jpg",
+            password: "hash"
+        })
+
+        video = await Video.create({
+            title: "clip",
+            description: "a clip",
+            videoFile: "/uploads/clip.mp4",
+            thumbnail: "/uploads/clip.jpeg",
+            owner: videoOwner
+        })
+
+        comment = await Comment.create({ content: "nice", video: video._id, owner: commenter._id })
+    })
+
+    afterEach(() => {
+        mock.restoreAll()
+    })
+
+    const likeComment = (user) => callHandler(toggleCommentLike, {
+        user,
+        params: { commentId: String(comment._id) }
+    })
+
+    it("likes a comment on a published video and notifies its author", async () => {
+        const { status, body } = await likeComment(viewer)
+
+        assert.equal(status, 200)
+        assert.deepEqual(body.data, { isLiked: true, likesCount: 1 })
+        assert.equal(notifications.docs.length, 1)
+    })
+
+    it("hides comments of unpublished videos from everybody but the video owner", async () => {
+        await Video.updateOne({ _id: video._id }, { $set: { isPublished: false } })
+
+        const { error } = await likeComment(viewer)
+
+        assert.equal(error.statusCode, 404)
+        assert.equal(likes.docs.length, 0)
+        assert.equal(notifications.docs.length, 0)
+
+        const { status } = await likeComment({ _id: videoOwner })
+        assert.equal(status, 200)
+    })
+})
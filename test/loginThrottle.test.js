@@ -0,0 +1,76 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import { MemoryStore, setRateLimitStore } from "../src/utils/rateLimitStore.js"
+import { clearFailedLogins, getLoginLockout, recordFailedLogin } from "../src/utils/loginThrottle.js"
+import {
+    LOGIN_LOCKOUT_BASE_SECONDS,
+    LOGIN_LOCKOUT_MAX_SECONDS,
+    MAX_FAILED_LOGINS_PER_ACCOUNT,
+    MAX_FAILED_LOGINS_PER_IP
+} from "../src/constants.js"
+
+const failTimes = async (count, identifier, ip) => {
+    for (let attempt = 0; attempt < count; attempt++) {
+        await recordFailedLogin(identifier, ip)
+    }
+}
+
+describe("login throttling", () => {
+    let now
+
+    beforeEach(() => {
+        now = Date.now()
+        mock.method(Date, "now", () => now)
+        setRateLimitStore(new MemoryStore())
+    })
+
+    afterEach(() => {
+        mock.restoreAll()
+    })
+
+    it("allows logins below the account limit", async () => {
+        await failTimes(MAX_FAILED_LOGINS_PER_ACCOUNT - 1, "jane", "10.0.0.1")
+
+        assert.equal(await getLoginLockout("jane", "10.0.0.1"), 0)
+    })
+
+    it("locks the account once the limit is reached, from any ip", async () => {
+        await failTimes(MAX_FAILED_LOGINS_PER_ACCOUNT, "jane", "10.0.0.1")
+
+        assert.equal(await getLoginLockout("jane", "10.0.0.2"), LOGIN_LOCKOUT_BASE_SECONDS)
+        assert.equal(await getLoginLockout("john", "10.0.0.2"), 0)
+    })
+
+    it("doubles the lock with every further failure, up to the cap", async () => {
+        await failTimes(MAX_FAILED_LOGINS_PER_ACCOUNT + 2, "jane", "10.0.0.1")
+        assert.equal(await getLoginLockout("jane", "10.0.0.2"), LOGIN_LOCKOUT_BASE_SECONDS * 4)
+
+        await failTimes(20, "jane", "10.0.0.3")
+        assert.equal(await getLoginLockout("jane", "10.0.0.4"), LOGIN_LOCKOUT_MAX_SECONDS)
+    })
+
+    it("lifts the lock once it has run out", async () => {
+        await failTimes(MAX_FAILED_LOGINS_PER_ACCOUNT, "jane", "10.0.0.1")
+
+        now += LOGIN_LOCKOUT_BASE_SECONDS * 1000
+        assert.equal(await getLoginLockout("jane", "10.0.0.1"), 0)
+    })
+
+    it("locks an ip that tries many accounts", async () => {
+        for (let attempt = 0; attempt < MAX_FAILED_LOGINS_PER_IP; attempt++) {
+            await recordFailedLogin(`user${attempt}`, "10.0.0.1")
+        }
+
+        assert.equal(await getLoginLockout("someone-else", "10.0.0.1"), LOGIN_LOCKOUT_BASE_SECONDS)
+        assert.equal(await getLoginLockout("someone-else", "10.0.0.2"), 0)
+    })
+
+    it("clears the account but not the ip after a successful login", async () => {
+        await failTimes(MAX_FAILED_LOGINS_PER_IP, "jane", "10.0.0.1")
+
+        await clearFailedLogins("jane")
+
+        assert.equal(await getLoginLockout("jane", "10.0.0.2"), 0)
+        assert.equal(await getLoginLockout("jane", "10.0.0.1"), LOGIN_LOCKOUT_BASE_SECONDS)
+    })
+})
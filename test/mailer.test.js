@@ -0,0 +1,60 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import { checkMailTransport, sendMail, setMailTransport } from "../src/utils/mailer.js"
+
+// assigning undefined would store the string "undefined"
+const restoreEnv = (name, value) => {
+    if (value === undefined) delete process.env[name]
+    else process.env[name] = value
+}
+
+describe("mailer", () => {
+    let nodeEnv, mailTransport
+
+    beforeEach(() => {
+        nodeEnv = process.env.NODE_ENV
+        mailTransport = process.env.MAIL_TRANSPORT
+        setMailTransport(null)
+    })
+
+    afterEach(() => {
+        restoreEnv("NODE_ENV", nodeEnv)
+        restoreEnv("MAIL_TRANSPORT", mailTransport)
+        setMailTransport(null)
+        mock.restoreAll()
+    })
+
+    it("prints mails outside production", async () => {
+        process.env.NODE_ENV = "development"
+        const log = mock.method(console, "log", () => {})
+
+        checkMailTransport()
+        await sendMail({ to: "jane@example.com", subject: "Reset your password", text: "token" })
+
+        assert.match(log.mock.calls[0].arguments[0], /jane@example.com/)
+    })
+
+    it("refuses to start in production without a real transport", async () => {
+        process.env.NODE_ENV = "production"
+        const log = mock.method(console, "log", () => {})
+
+        for (const transport of [undefined, "console", "file"]) {
+            restoreEnv("MAIL_TRANSPORT", transport)
+            assert.throws(() => checkMailTransport(), /no mail transport configured/)
+        }
+
+        await assert.rejects(sendMail({ to: "jane@example.com", subject: "Reset", text: "token" }))
+        assert.equal(log.mock.callCount(), 0)
+    })
+
+    it("sends through a plugged in transport in production", async () => {
+        process.env.NODE_ENV = "production"
+        const send = mock.fn(async () => {})
+        setMailTransport({ send })
+
+        checkMailTransport()
+        await sendMail({ to: "jane@example.com", subject: "Reset", text: "token" })
+
+        assert.equal(send.mock.calls[0].arguments[0].to, "jane@example.com")
+    })
+})
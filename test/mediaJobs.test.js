@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import mongoose from "mongoose"
+import sharp from "sharp"
+import { Job } from "../src/models/job.models.js"
+import { User } from "../src/models/user.models.js"
+import { Video } from "../src/models/video.models.js"
+import { Subscription } from "../src/models/subscription.models.js"
+import { claimNextJob, runJob } from "../src/utils/jobQueue.js"
+import { createLocalStorage, setStorageProvider } from "../src/utils/storage.js"
+import { enqueueImageProcessing, enqueueVideoProcessing } from "../src/jobs/media.jobs.js"
+import { mockModel } from "./helpers/memoryModel.js"
+
+const exists = (filePath) => fs.promises.access(filePath).then(() => true, () => false)
+
+// runs every due job, like the worker does
+const runDueJobs = async () => {
+    let job
+    while ((job = await claimNextJob())) {
+        await runJob(job)
+    }
+}
+
+describe("media jobs", () => {
+    let workDir, jobs, users, videos
+
+    const startDir = process.cwd()
+
+    // job files, processed images and local storage all live in a fresh temp dir
+    beforeEach(async () => {
+        workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "media-jobs-"))
+        process.chdir(workDir)
+        setStorageProvider(createLocalStorage("./public"))
+
+        jobs = mockModel(Job)
+        users = mockModel(User)
+        videos = mockModel(Video)
+        // nobody is subscribed to the uploader
+        mock.method(Subscription, "find", () => ({ distinct: async () => [] }))
+    })
+
+    afterEach(async () => {
+        mock.restoreAll()
+        setStorageProvider(null)
+        process.chdir(startDir)
+        await fs.promises.rm(workDir, { recursive: true, force: true })
+    })
+
+    // what the upload middleware leaves in public/temp
+    const createUpload = async (name, data) => {
+        await fs.promises.mkdir("public/temp", { recursive: true })
+        const filePath = path.join("public/temp", name)
+        await fs.promises.writeFile(filePath, data)
+        return filePath
+    }
+
+    const createImageUpload = async (name) => createUpload(name, await sharp({
+        create: { width: 600, height: 400, channels: 3, background: "#336699" }
+    }).jpeg().toBuffer())
+
+    const createUser = () => User.create({
+        username: "jane",
+        email: "jane@example.com",
+        fullName: "Jane",
+        avatar: "/uploads/old-avatar.jpg",
+        password: "hash"
+    })
+
+    const uploadedFiles = () => fs.promises.readdir("public/uploads").catch(() => [])
+
+    describe("image.process", () => {
+        it("replaces the image once it is processed and removes the old one", async () => {
+            const user = await createUser()
+            const localFilePath = await createImageUpload("avatar.jpg")
+
+            await enqueueImageProcessing({ model: "User", documentId: user._id, field: "avatar", localFilePath })
+
+            // the request only queued it
+            assert.equal(await exists(localFilePath), false)
+            assert.equal(users.docs[0].avatar, "/uploads/old-avatar.jpg")
+            assert.equal(users.docs[0].avatarProcessing.status, "queued")
+
+            await runDueJobs()
+
+            const [saved] = users.docs
+            assert.equal(saved.avatarProcessing.status, "ready")
+            assert.equal(saved.avatarProcessing.uploadId, undefined)
+            assert.match(saved.avatar, /^\/uploads\/.+\.jpeg$/)
+            assert.deepEqual(Object.keys(saved.avatarVariants).sort(), ["128", "48", "512"])
+            assert.equal((await uploadedFiles()).length, 6)
+
+            // the old avatar is removed by its own job
+            const deletion = jobs.docs.find((job) => job.type === "media.delete")
+            assert.deepEqual(deletion.payload.urls, ["/uploads/old-avatar.jpg"])
+            assert.deepEqual(jobs.docs.map((job) => job.status), ["completed", "completed"])
+            assert.deepEqual(await fs.promises.readdir("public/temp/jobs"), [])
+        })
+
+        it("drops an upload that was replaced by a newer one while it waited", async () => {
+            const user = await createUser()
+
+            await enqueueImageProcessing({
+                model: "User", documentId: user._id, field: "avatar", localFilePath: await createImageUpload("first.jpg")
+            })
+            await enqueueImageProcessing({
+                model: "User", documentId: user._id, field: "avatar", localFilePath: await createImageUpload("second.jpg")
+            })
+
+            await runDueJobs()
+
+            // only the second upload made it to storage
+            assert.equal((await uploadedFiles()).length, 6)
+            assert.equal(users.docs[0].avatarProcessing.status, "ready")
+            assert.deepEqual(await fs.promises.readdir("public/temp/jobs"), [])
+        })
+
+        it("drops the result when the document was deleted while it was processed", async () => {
+            const user = await createUser()
+            await enqueueImageProcessing({
+                model: "User", documentId: user._id, field: "avatar", localFilePath: await createImageUpload("avatar.jpg")
+            })
+            await User.deleteOne({ _id: user._id })
+
+            await runDueJobs()
+
+            assert.deepEqual(await uploadedFiles(), [])
+            assert.deepEqual(await fs.promises.readdir("public/temp/jobs"), [])
+        })
+
+        it("marks the image failed and keeps the old one when processing gives up", async () => {
+            mock.method(console, "log", () => {})
+            const user = await createUser()
+            await enqueueImageProcessing({
+                model: "User", documentId: user._id, field: "avatar", localFilePath: await createUpload("broken.jpg", "not an image")
+            })
+            await Job.updateOne({}, { $set: { maxAttempts: 1 } })
+
+            await runDueJobs()
+
+            const [saved] = users.docs
+            assert.equal(jobs.docs[0].status, "dead")
+            assert.equal(saved.avatar, "/uploads/old-avatar.jpg")
+            assert.equal(saved.avatarProcessing.status, "failed")
+            assert.match(saved.avatarProcessing.error, /avatar processing failed/)
+            assert.deepEqual(await fs.promises.readdir("public/temp/jobs"), [])
+        })
+
+        it("refuses fields that are not images of the model", async () => {
+            await assert.rejects(
+                enqueueImageProcessing({ model: "User", documentId: new mongoose.Types.ObjectId(), field: "password", localFilePath: "x" }),
+                /User has no image field password/
+            )
+        })
+    })
+
+    describe("video.process", () => {
+        const queueVideo = async (data = {}) => {
+            const video = await Video.create({
+                title: "clip",
+                description: "a clip",
+                owner: new mongoose.Types.ObjectId(),
+                isPublished: false,
+                publishOnReady: true,
+                processingStatus: "queued",
+                ...data
+            })
+
+            await enqueueVideoProcessing({
+                videoId: video._id,
+                videoLocalPath: await createUpload("clip.mp4", "video bytes"),
+                thumbnailLocalPath: await createImageUpload("thumbnail.jpg")
+            })
+
+            return video
+        }
+
+        it("publishes the video once it is ready", async () => {
+            await queueVideo()
+
+            await runDueJobs()
+
+            const [video] = videos.docs
+            assert.equal(video.processingStatus, "ready")
+            assert.equal(video.isPublished, true)
+            assert.ok(video.videoFile)
+            assert.ok(video.thumbnail)
+        })
+
+        it("keeps the video unpublished when that was chosen during processing", async () => {
+            await queueVideo()
+            await Video.updateOne({}, { $set: { publishOnReady: false } })
+
+            await runDueJobs()
+
+            assert.equal(videos.docs[0].processingStatus, "ready")
+            assert.equal(videos.docs[0].isPublished, false)
+        })
+
+        it("removes moved files when the job cannot be queued", async () => {
+            mock.method(Job, "create", async () => {
+                throw new Error("mongo is down")
+            })
+
+            await assert.rejects(queueVideo(), /mongo is down/)
+            assert.deepEqual(await fs.promises.readdir("public/temp/jobs"), [])
+        })
+    })
+})
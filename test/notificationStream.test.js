@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import { EventEmitter } from "events"
+import mongoose from "mongoose"
+import { Notification } from "../src/models/notification.models.js"
+import { Session } from "../src/models/session.models.js"
+import { User } from "../src/models/user.models.js"
+import { notify } from "../src/utils/notifications.js"
+import { streamNotifications } from "../src/controllers/notification.controller.js"
+
+const HEARTBEAT_MS = 25 * 1000
+
+const flush = () => new Promise((resolve) => setImmediate(resolve))
+
+// find(...).sort(...).limit(...).lean()
+const queryOf = (result) => ({
+    sort() { return this },
+    limit() { return this },
+    select() { return this },
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+})
+
+const openStream = async ({ lastEventId, expiresInMs = 15 * 60 * 1000 } = {}) => {
+    const userId = new mongoose.Types.ObjectId()
+    const req = Object.assign(new EventEmitter(), {
+        user: { _id: userId },
+        sessionId: new mongoose.Types.ObjectId(),
+        accessTokenExpiresAt: Date.now() + expiresInMs,
+        header: (name) => (name === "Last-Event-ID" ? lastEventId : undefined)
+    })
+
+    const res = {
+        output: "",
+        writableEnded: false,
+        set() {},
+        flushHeaders() {},
+        write(chunk) {
+            assert.equal(this.writableEnded, false, "wrote to a closed stream")
+            this.output += chunk
+        },
+        end() {
+            this.writableEnded = true
+        }
+    }
+
+    streamNotifications(req, res, (error) => {
+        throw error
+    })
+    await flush()
+
+    return { userId, req, res }
+}
+
+const sentIds = (res) => [...res.output.matchAll(/^id: (\w+)$/gm)].map(([, id]) => id)
+
+describe("notification stream", () => {
+    let sessionExists, user
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ["setInterval", "Date"], now: Date.now() })
+
+        sessionExists = true
+        user = new User({ status: "active" })
+
+        mock.method(Session, "exists", async () => (sessionExists ? { _id: "session" } : null))
+        mock.method(User, "findById", () => queryOf(user))
+        mock.method(User, "exists", async () => ({ _id: "user" }))
+        mock.method(Notification, "countDocuments", async () => 0)
+        mock.method(Notification, "find", () => queryOf([]))
+        mock.method(Notification, "deleteMany", async () => ({ deletedCount: 0 }))
+        mock.method(Notification, "create", async (data) => new Notification(data))
+    })
+
+    afterEach(() => {
+        mock.timers.reset()
+        mock.restoreAll()
+    })
+
+    it("pushes new notifications and keeps the stream open while the session is valid", async () => {
+        const { userId, req, res } = await openStream()
+
+        const notification = await notify({ recipient: userId, actor: new mongoose.Types.ObjectId(), type: "like" })
+        mock.timers.tick(HEARTBEAT_MS)
+        await flush()
+
+        assert.deepEqual(sentIds(res), [String(notification._id)])
+        assert.match(res.output, /: ping/)
+        assert.equal(res.writableEnded, false)
+
+        req.emit("close")
+    })
+
+    it("ends the stream at the next heartbeat once the session is revoked", async () => {
+        const { userId, res } = await openStream()
+
+        sessionExists = false
+        mock.timers.tick(HEARTBEAT_MS)
+        await flush()
+
+        assert.equal(res.writableEnded, true)
+
+        // nothing is pushed to a closed stream
+        await notify({ recipient: userId, actor: new mongoose.Types.ObjectId(), type: "like" })
+        assert.deepEqual(sentIds(res), [])
+    })
+
+    it("ends the stream once the account is suspended or banned", async () => {
+        const { res } = await openStream()
+
+        user = new User({ status: "banned" })
+        mock.timers.tick(HEARTBEAT_MS)
+        await flush()
+
+        assert.equal(res.writableEnded, true)
+    })
+
+    it("ends the stream once the access token has expired", async () => {
+        const { res } = await openStream({ expiresInMs: HEARTBEAT_MS / 2 })
+
+        mock.timers.tick(HEARTBEAT_MS)
+        await flush()
+
+        assert.equal(res.writableEnded, true)
+    })
+
+    it("sends a notification created during the replay only once", async () => {
+        const actor = new mongoose.Types.ObjectId()
+        let created
+
+        // the notification is pushed live while the replay query runs and is also in its result
+        Notification.find.mock.mockImplementation(({ recipient }) => ({
+            ...queryOf(),
+            lean: async () => {
+                created = await notify({ recipient, actor, type: "like" })
+                return [created.toObject()]
+            }
+        }))
+
+        const { req, res } = await openStream({ lastEventId: String(new mongoose.Types.ObjectId()) })
+
+        assert.deepEqual(sentIds(res), [String(created._id)])
+
+        req.emit("close")
+    })
+})
@@ -0,0 +1,122 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { Notification } from "../src/models/notification.models.js"
+import { User } from "../src/models/user.models.js"
+import { notify, onNotification } from "../src/utils/notifications.js"
+import { mockModel } from "./helpers/memoryModel.js"
+
+const newId = () => new mongoose.Types.ObjectId()
+
+describe("notify", () => {
+    let notifications, users
+
+    beforeEach(() => {
+        notifications = mockModel(Notification)
+        users = mockModel(User)
+    })
+
+    afterEach(() => {
+        mock.restoreAll()
+    })
+
+    const createUser = async (notificationPreferences = {}) => (
+        await User.create({
+            username: `user${newId()}`,
+            email: `${newId()}@example.com`,
+            fullName: "Someone",
+            avatar: "avatar.jpg",
+            password: "hash",
+            notificationPreferences
+        })
+    )._id
+
+    it("notifies the recipient and pushes the notification live", async () => {
+        const recipient = await createUser()
+        const listener = mock.fn()
+        const unsubscribe = onNotification(recipient, listener)
+
+        const notification = await notify({ recipient, actor: newId(), type: "like", video: newId() })
+        unsubscribe()
+
+        assert.equal(notifications.docs.length, 1)
+        assert.equal(listener.mock.callCount(), 1)
+        assert.equal(String(listener.mock.calls[0].arguments[0]._id), String(notification._id))
+    })
+
+    it("replaces the same like instead of adding another one", async () => {
+        const recipient = await createUser()
+        const actor = newId()
+        const video = newId()
+
+        const first = await notify({ recipient, actor, type: "like", video })
+        await Notification.updateOne({ _id: first._id }, { $set: { isRead: true, readAt: new Date() } })
+
+        const second = await notify({ recipient, actor, type: "like", video })
+
+        assert.equal(notifications.docs.length, 1)
+        assert.equal(String(notifications.docs[0]._id), String(second._id))
+        // newer _id -> a stream that last saw the first one replays it
+        assert.ok(String(second._id) > String(first._id))
+        assert.equal(second.isRead, false)
+        assert.equal(second.readAt, undefined)
+    })
+
+    it("replaces notifications from before the dedupe key existed", async () => {
+        const recipient = await createUser()
+        const actor = newId()
+        const video = newId()
+        await Notification.create([
+            { recipient, actor, type: "like", video },
+            { recipient, actor, type: "like", video }
+        ])
+
+        await notify({ recipient, actor, type: "like", video })
+
+        assert.equal(notifications.docs.length, 1)
+        assert.ok(notifications.docs[0].dedupeKey)
+    })
+
+    it("adds one notification when the same action is notified in parallel", async () => {
+        const recipient = await createUser()
+        const actor = newId()
+        const video = newId()
+
+        const results = await Promise.all([
+            notify({ recipient, actor, type: "like", video }),
+            notify({ recipient, actor, type: "like", video })
+        ])
+
+        assert.equal(notifications.docs.length, 1)
+        assert.equal(results.filter(Boolean).length, 1)
+    })
+
+    it("keeps likes on different things apart", async () => {
+        const recipient = await createUser()
+        const actor = newId()
+        const video = newId()
+
+        await notify({ recipient, actor, type: "like", video })
+        // a like on a comment of the same video
+        await notify({ recipient, actor, type: "like", video, comment: newId() })
+        await notify({ recipient, actor: newId(), type: "like", video })
+
+        assert.equal(notifications.docs.length, 3)
+    })
+
+    it("does not notify users about their own actions", async () => {
+        const recipient = await createUser()
+
+        assert.equal(await notify({ recipient, actor: recipient, type: "like", video: newId() }), null)
+        assert.equal(notifications.docs.length, 0)
+    })
+
+    it("respects turned off notification types", async () => {
+        const recipient = await createUser({ like: false })
+
+        assert.equal(await notify({ recipient, actor: newId(), type: "like", video: newId() }), null)
+        assert.ok(await notify({ recipient, actor: newId(), type: "subscriber" }))
+        assert.equal(notifications.docs.length, 1)
+        assert.equal(users.docs.length, 1)
+    })
+})
@@ -0,0 +1,117 @@
+import { afterEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import { buildOtpauthUri, generateTotp, generateTotpSecret, verifyTotp } from "../src/utils/totp.js"
+
+// RFC 6238 appendix B, sha1 seed "12345678901234567890" in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+
+const atTime = (seconds) => mock.method(Date, "now", () => seconds * 1000)
+
+describe("totp", () => {
+    afterEach(() => {
+        mock.restoreAll()
+    })
+
+    describe("generateTotp", () => {
+        // the rfc lists 8 digit codes, ours are the last 6 of them
+        for (const [seconds, code] of [
+            [59, "287082"],
+            [1111111109, "081804"],
+            [1111111111, "050471"],
+            [1234567890, "005924"],
+            [2000000000, "279037"],
+            [20000000000, "353130"]
+        ]) {
+            it(`matches the rfc test vector at ${seconds}s`, () => {
+                assert.equal(generateTotp(RFC_SECRET, Math.floor(seconds / 30)), code)
+            })
+        }
+
+        it("uses the current time step by default", () => {
+            atTime(59)
+            assert.equal(generateTotp(RFC_SECRET), "287082")
+        })
+    })
+
+    describe("verifyTotp", () => {
+        const secret = generateTotpSecret()
+        const now = 1700000000
+        const currentStep = Math.floor(now / 30)
+
+        it("accepts the current code and returns its step", () => {
+            atTime(now)
+            assert.equal(verifyTotp(secret, generateTotp(secret, currentStep)), currentStep)
+        })
+
+        it("accepts the previous and the next code for clock drift", () => {
+            atTime(now)
+            assert.equal(verifyTotp(secret, generateTotp(secret, currentStep - 1)), currentStep - 1)
+            assert.equal(verifyTotp(secret, generateTotp(secret, currentStep + 1)), currentStep + 1)
+        })
+
+        it("rejects codes outside the window", () => {
+            atTime(now)
+            assert.equal(verifyTotp(secret, generateTotp(secret, currentStep - 2)), null)
+            assert.equal(verifyTotp(secret, generateTotp(secret, currentStep + 2)), null)
+        })
+
+        it("only accepts the current code with a window of 0", () => {
+            atTime(now)
+            assert.equal(verifyTotp(secret, generateTotp(secret, currentStep), 0), currentStep)
+            assert.equal(verifyTotp(secret, generateTotp(secret, currentStep - 1), 0), null)
+        })
+
+        it("stops accepting a code once the window has moved past it", () => {
+            const code = generateTotp(secret, currentStep)
+
+            atTime(now + 30)
+            assert.equal(verifyTotp(secret, code), currentStep)
+
+            mock.restoreAll()
+            atTime(now + 60)
+            assert.equal(verifyTotp(secret, code), null)
+        })
+
+        it("rejects codes of another secret", () => {
+            atTime(now)
+            const code = generateTotp(generateTotpSecret(), currentStep)
+
+            // 1 in a million that the other secret gives the same code
+            if (code !== generateTotp(secret, currentStep)) {
+                assert.equal(verifyTotp(secret, code), null)
+            }
+        })
+
+        it("rejects anything that is not 6 digits", () => {
+            atTime(now)
+            const code = generateTotp(secret, currentStep)
+
+            for (const input of [undefined, null, "", "12345", "1234567", `${code} `, "abcdef", Number(code)]) {
+                assert.equal(verifyTotp(secret, input), null, `accepted ${JSON.stringify(input)}`)
+            }
+        })
+    })
+
+    describe("generateTotpSecret", () => {
+        it("creates a 160 bit base32 secret", () => {
+            const secret = generateTotpSecret()
+
+            assert.match(secret, /^[A-Z2-7]{32}$/)
+            assert.notEqual(secret, generateTotpSecret())
+        })
+    })
+
+    describe("buildOtpauthUri", () => {
+        it("encodes everything an authenticator app needs", () => {
+            const uri = new URL(buildOtpauthUri(RFC_SECRET, "jane@example.com", "VideoTube"))
+
+            assert.equal(uri.protocol, "otpauth:")
+            assert.equal(uri.host, "totp")
+            assert.equal(decodeURIComponent(uri.pathname), "/VideoTube:jane@example.com")
+            assert.equal(uri.searchParams.get("secret"), RFC_SECRET)
+            assert.equal(uri.searchParams.get("issuer"), "VideoTube")
+            assert.equal(uri.searchParams.get("digits"), "6")
+            assert.equal(uri.searchParams.get("period"), "30")
+        })
+    })
+})
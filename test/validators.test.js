@@ -0,0 +1,130 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { validate } from "../src/middlewares/validate.middleware.js"
+import { initiateVideoUploadSchema, publishVideoSchema, updateVideoSchema } from "../src/validators/video.validators.js"
+import { addCommentSchema, updateCommentSchema } from "../src/validators/comment.validators.js"
+import { createPlaylistSchema, updatePlaylistSchema } from "../src/validators/playlist.validators.js"
+import { tweetSchema } from "../src/validators/tweet.validators.js"
+import { registerSchema } from "../src/validators/user.validators.js"
+import { callRoute } from "./helpers/routes.js"
+
+// runs the schema in front of a handler that only echoes the body it got
+const check = (schema, body) => callRoute(
+    [validate(schema), (req, res) => res.status(200).json(req.body)],
+    { body }
+)
+
+// every value is rejected with a 422 naming the field
+const assertRejected = async (schema, field, values, body = {}) => {
+    for (const value of values) {
+        const { error } = await check(schema, { ...body, [field]: value })
+
+        assert.equal(error?.statusCode, 422, `${field}: ${JSON.stringify(value)}`)
+        assert.deepEqual(error.errors.map((fieldError) => fieldError.field), [field])
+    }
+}
+
+const NOT_STRINGS = [42, true, { text: "a" }, ["a"]]
+
+describe("video validators", () => {
+    it("trims title and description of a new video", async () => {
+        const { body } = await check(publishVideoSchema, { title: "  clip ", description: " a clip " })
+
+        assert.deepEqual(body, { title: "clip", description: "a clip" })
+    })
+
+    it("rejects a title or description that is missing or not a string", async () => {
+        await assertRejected(publishVideoSchema, "title", [undefined, "  ", ...NOT_STRINGS], { description: "a clip" })
+        await assertRejected(publishVideoSchema, "description", [undefined, ...NOT_STRINGS], { title: "clip" })
+        await assertRejected(updateVideoSchema, "title", NOT_STRINGS)
+        await assertRejected(updateVideoSchema, "description", NOT_STRINGS)
+    })
+
+    it("lets updates leave fields out", async () => {
+        const { status } = await check(updateVideoSchema, {})
+
+        assert.equal(status, 200)
+    })
+})
+
+describe("resumable upload validators", () => {
+    const upload = { fileName: "clip.mp4", mimeType: "video/mp4", size: 1024 }
+
+    it("accepts a new upload and trims its file name", async () => {
+        const { body } = await check(initiateVideoUploadSchema, { ...upload, fileName: " clip.mp4 " })
+
+        assert.equal(body.fileName, "clip.mp4")
+    })
+
+    it("rejects a file name, mime type or checksum that is not a string", async () => {
+        await assertRejected(initiateVideoUploadSchema, "fileName", [undefined, ...NOT_STRINGS], upload)
+        await assertRejected(initiateVideoUploadSchema, "mimeType", NOT_STRINGS, upload)
+        await assertRejected(initiateVideoUploadSchema, "checksum", NOT_STRINGS, upload)
+    })
+})
+
+describe("comment validators", () => {
+    it("trims the content of a comment", async () => {
+        const { body } = await check(addCommentSchema, { content: " nice " })
+
+        assert.equal(body.content, "nice")
+    })
+
+    it("rejects content that is missing or not a string and parent ids that are not ids", async () => {
+        await assertRejected(addCommentSchema, "content", [undefined, " ", ...NOT_STRINGS])
+        await assertRejected(addCommentSchema, "parentCommentId", ["abc", { id: "a" }], { content: "nice" })
+        await assertRejected(updateCommentSchema, "content", [undefined, ...NOT_STRINGS])
+    })
+})
+
+describe("playlist validators", () => {
+    it("trims name and description of a new playlist", async () => {
+        const { body } = await check(createPlaylistSchema, { name: " mix ", description: " songs ", visibility: "public" })
+
+        assert.deepEqual(body, { name: "mix", description: "songs", visibility: "public" })
+    })
+
+    it("rejects fields that are missing or not strings", async () => {
+        const playlist = { name: "mix", description: "songs" }
+
+        await assertRejected(createPlaylistSchema, "name", [undefined, ...NOT_STRINGS], playlist)
+        await assertRejected(createPlaylistSchema, "description", [undefined, ...NOT_STRINGS], playlist)
+        await assertRejected(createPlaylistSchema, "visibility", NOT_STRINGS, playlist)
+        await assertRejected(updatePlaylistSchema, "name", NOT_STRINGS)
+        await assertRejected(updatePlaylistSchema, "description", NOT_STRINGS)
+    })
+})
+
+describe("tweet validators", () => {
+    it("trims the content of a tweet", async () => {
+        const { body } = await check(tweetSchema, { content: " hello " })
+
+        assert.equal(body.content, "hello")
+    })
+
+    it("rejects content that is missing or not a string", async () => {
+        await assertRejected(tweetSchema, "content", [undefined, " ", ...NOT_STRINGS])
+    })
+})
+
+describe("user validators", () => {
+    const registration = { fullName: "Jane", email: "jane@example.com", username: "jane", password: "secret123" }
+
+    it("requires an avatar file to register", async () => {
+        for (const files of [undefined, {}, { coverImage: [{ path: "cover.png" }] }, { avatar: [] }]) {
+            const { error } = await callRoute([validate(registerSchema)], { body: registration, files })
+
+            assert.equal(error.statusCode, 422)
+            assert.deepEqual(error.errors, [{ field: "avatar", location: "body", message: "avatar file is required" }])
+        }
+    })
+
+    it("accepts a registration with an avatar", async () => {
+        const { status } = await callRoute(
+            [validate(registerSchema), (req, res) => res.status(200).json({})],
+            { body: registration, files: { avatar: [{ path: "avatar.png" }] } }
+        )
+
+        assert.equal(status, 200)
+    })
+})
@@ -0,0 +1,103 @@
+import { afterEach, beforeEach, describe, it, mock } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { Video } from "../src/models/video.models.js"
+import { View } from "../src/models/view.models.js"
+import { getVideoById } from "../src/controllers/video.controller.js"
+import { DEFAULT_VIEW_DEDUP_WINDOW_MINUTES } from "../src/constants.js"
+import { mockModel } from "./helpers/memoryModel.js"
+import { callHandler } from "./helpers/routes.js"
+
+const WINDOW_MS = DEFAULT_VIEW_DEDUP_WINDOW_MINUTES * 60 * 1000
+
+describe("view counting", () => {
+    let videos, views, video
+
+    beforeEach(async () => {
+        process.env.ACCESS_TOKEN_SECRET = "secret"
+        // start of a window -> the tests decide when the next one starts
+        mock.timers.enable({ apis: ["Date"], now: Math.ceil(Date.now() / WINDOW_MS) * WINDOW_MS })
+
+        videos = mockModel(Video)
+        views = mockModel(View)
+
+        video = await Video.create({
+            title: "clip",
+            description: "a clip",
+            videoFile: "/uploads/clip.mp4",
+            thumbnail: "/uploads/clip.jpeg",
+            owner: new mongoose.Types.ObjectId()
+        })
+
+        // owner and likes lookups, the view counting only needs the video
+        mock.method(Video, "aggregate", async () => [{ ...videos.docs[0] }])
+    })
+
+    afterEach(() => {
+        mock.timers.reset()
+        mock.restoreAll()
+    })
+
+    // history is paused -> only the view is recorded
+    const watchAs = (userId) => callHandler(getVideoById, {
+        user: { _id: userId, isWatchHistoryPaused: true },
+        params: { videoId: String(video._id) }
+    })
+
+    const watchFrom = (ip) => callHandler(getVideoById, {
+        ip,
+        params: { videoId: String(video._id) }
+    })
+
+    it("counts a viewer once per window", async () => {
+        const viewer = new mongoose.Types.ObjectId()
+
+        const first = await watchAs(viewer)
+        mock.timers.tick(WINDOW_MS - 1)
+        const repeat = await watchAs(viewer)
+
+        assert.equal(first.body.data.views, 1)
+        assert.equal(repeat.body.data.views, 1)
+        assert.equal(videos.docs[0].views, 1)
+        assert.equal(views.docs.length, 1)
+
+        mock.timers.tick(1)
+        await watchAs(viewer)
+
+        assert.equal(videos.docs[0].views, 2)
+    })
+
+    it("counts parallel requests of one viewer once", async () => {
+        const viewer = new mongoose.Types.ObjectId()
+
+        await Promise.all([watchAs(viewer), watchAs(viewer), watchAs(viewer)])
+
+        assert.equal(videos.docs[0].views, 1)
+    })
+
+    it("counts an anonymous ip once per window without storing the ip", async () => {
+        await watchFrom("10.0.0.1")
+        await watchFrom("10.0.0.1")
+
+        assert.equal(videos.docs[0].views, 1)
+        assert.equal(views.docs[0].viewer, null)
+        assert.match(views.docs[0].ipHash, /^[0-9a-f]{64}$/)
+        assert.ok(!JSON.stringify(views.docs[0]).includes("10.0.0.1"))
+
+        await watchFrom("10.0.0.2")
+
+        assert.equal(videos.docs[0].views, 2)
+    })
+
+    it("does not count when another request won the insert", async () => {
+        View.updateOne.mock.mockImplementation(async () => {
+            throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+        })
+
+        const { status, body } = await watchFrom("10.0.0.1")
+
+        assert.equal(status, 200)
+        assert.equal(body.data.views, 0)
+        assert.equal(videos.docs[0].views, 0)
+    })
+})